@@ -3,18 +3,40 @@ const http = require("http");
 const socketIo = require("socket.io");
 const sqlite3 = require("sqlite3").verbose();
 const bcrypt = require("bcrypt");
-const { Chess } = require("chess.js");
 const Redis = require("ioredis");
 const { v4: uuidv4 } = require("uuid");
 const cors = require("cors");
+const crypto = require("crypto");
 const {
   getUserById,
   generateBoardVisualization,
   findCheckingPieces,
   findKingSquare,
   getAttackedSquares,
+  getClaimableDrawReasons,
+  RATING_POOLS,
+  GAME_VARIANTS,
+  generateChess960Fen,
+  validateStartingFen,
+  createGameChess,
+  getRatingPool,
+  getPoolRatings,
+  getGlickoRating,
+  calculateRatingChanges,
+  applyRatingChanges,
   calculateEloChanges,
   updatePlayerElos,
+  createSessionToken,
+  verifySessionToken,
+  buildGamePgn,
+  downsampleSeries,
+  assignColors,
+  takeToken,
+  generateInviteCode,
+  filterChatMessage,
+  buildTournamentStandings,
+  buildArenaStandings,
+  pairSwissRound,
 } = require("./server_helper_functions");
 
 const app = express();
@@ -88,6 +110,7 @@ const redis = new Redis({
 app.use(cors());
 app.use(express.json({ limit: "10mb" }));
 app.use(express.static("public"));
+app.use(authenticateRequest);
 
 const connectedClients = new Map();
 const waitingGames = [];
@@ -96,13 +119,178 @@ const activeGames = new Map(); // NEW: Track active games
 // Connection heartbeat tracking
 const connectionHeartbeats = new Map();
 
+// NEW: Longest Fischer increment or Bronstein delay a game may use
+const MAX_INCREMENT_SECONDS = 180;
+
+// NEW: Direct challenges between online players, keyed by challenge id
+const pendingChallenges = new Map();
+const CHALLENGE_TTL_SECONDS = parseInt(process.env.CHALLENGE_TTL_SECONDS) || 60;
+
+// NEW: Matchmaking queue, keyed by userId. The allowed rating gap starts at
+// QUEUE_INITIAL_RATING_GAP and widens by QUEUE_RATING_GAP_GROWTH per second waited.
+const matchmakingQueue = new Map();
+const pairingReservations = new Set(); // userIds being paired into a new game right now
+const recentQueueWaits = new Map(); // ratingPool -> recent wait times in seconds
+const QUEUE_PAIRING_INTERVAL_MS =
+  parseInt(process.env.QUEUE_PAIRING_INTERVAL_MS) || 2000;
+const QUEUE_INITIAL_RATING_GAP =
+  parseInt(process.env.QUEUE_INITIAL_RATING_GAP) || 100;
+const QUEUE_RATING_GAP_GROWTH =
+  parseInt(process.env.QUEUE_RATING_GAP_GROWTH) || 10;
+const QUEUE_MAX_RATING_GAP = parseInt(process.env.QUEUE_MAX_RATING_GAP) || 1000;
+
+// NEW: Rate limiting - per-event token buckets for every socket, and for every IP
+// with RATE_LIMIT_IP_MULTIPLIER times the budget (several sockets may share an IP)
+const EVENT_RATE_LIMITS = {
+  default: { capacity: 20, refillPerSecond: 5 },
+  register: { capacity: 3, refillPerSecond: 1 / 60 },
+  login: { capacity: 5, refillPerSecond: 1 / 10 },
+  resume_session: { capacity: 5, refillPerSecond: 1 / 10 },
+  chat: { capacity: 5, refillPerSecond: 1 },
+  channel_message: { capacity: 5, refillPerSecond: 1 },
+  join_channel: { capacity: 10, refillPerSecond: 1 / 2 },
+  create_tournament: { capacity: 3, refillPerSecond: 1 / 60 },
+  create_game: { capacity: 5, refillPerSecond: 1 / 10 },
+  join_queue: { capacity: 5, refillPerSecond: 1 / 10 },
+  challenge_player: { capacity: 5, refillPerSecond: 1 / 10 },
+  join_by_code: { capacity: 10, refillPerSecond: 1 / 6 }, // Slows down code guessing
+  request_leaderboard: { capacity: 10, refillPerSecond: 1 },
+  request_rating_history: { capacity: 10, refillPerSecond: 1 },
+  list_live_games: { capacity: 10, refillPerSecond: 1 },
+  change_password: { capacity: 3, refillPerSecond: 1 / 60 },
+  change_username: { capacity: 3, refillPerSecond: 1 / 60 },
+  delete_account: { capacity: 3, refillPerSecond: 1 / 60 },
+  send_friend_request: { capacity: 10, refillPerSecond: 1 / 30 },
+};
+const RATE_LIMIT_IP_MULTIPLIER =
+  parseInt(process.env.RATE_LIMIT_IP_MULTIPLIER) || 5;
+const socketRateBuckets = new Map(); // socketId -> Map(event -> bucket)
+const ipRateBuckets = new Map(); // ip -> Map(event -> bucket)
+
+// NEW: Progressive login lockout. After LOGIN_LOCKOUT_THRESHOLD failures for a
+// username (or RATE_LIMIT_IP_MULTIPLIER times as many from an IP) logins are refused
+// for LOGIN_LOCKOUT_BASE_SECONDS, doubling with every further failure.
+const LOGIN_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const LOGIN_LOCKOUT_BASE_SECONDS =
+  parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 30;
+const LOGIN_LOCKOUT_MAX_SECONDS = 15 * 60;
+const loginFailures = new Map(); // "user:<name>" / "ip:<ip>" -> { failures, lockedUntil, lastFailureAt }
+
+// NEW: Minimum time between username changes
+const USERNAME_CHANGE_COOLDOWN_DAYS =
+  parseInt(process.env.USERNAME_CHANGE_COOLDOWN_DAYS) || 30;
+
+// NEW: Most friends (accepted plus pending requests) a user can have
+const MAX_FRIENDS = parseInt(process.env.MAX_FRIENDS) || 200;
+
+// NEW: Chat moderation and history. CHAT_FILTER_WORDS is a comma-separated list of
+// words masked with asterisks; links are rejected unless CHAT_BLOCK_LINKS=false.
+const CHAT_MAX_LENGTH = 200;
+const CHAT_FILTER_WORDS = (process.env.CHAT_FILTER_WORDS || "")
+  .split(",")
+  .map((word) => word.trim())
+  .filter(Boolean);
+const CHAT_BLOCK_LINKS = process.env.CHAT_BLOCK_LINKS !== "false";
+const CHAT_HISTORY_LIMIT = parseInt(process.env.CHAT_HISTORY_LIMIT) || 50;
+
+// NEW: Chat channels outside games. "lobby" always exists; other channels are
+// created by the first join_channel and dropped when their last member leaves.
+const LOBBY_CHANNEL = "lobby";
+const CHANNEL_NAME_PATTERN = /^[a-z0-9_-]{2,24}$/;
+const MAX_CHANNELS_PER_SOCKET =
+  parseInt(process.env.MAX_CHANNELS_PER_SOCKET) || 10;
+const chatChannels = new Map([
+  [LOBBY_CHANNEL, { name: LOBBY_CHANNEL, members: new Set(), backlog: [] }],
+]); // name -> { name, members: Set(socketId), backlog: [] }
+
+// NEW: Tournaments - pause between the last game of a round and the next round
+const TOURNAMENT_ROUND_DELAY_SECONDS =
+  parseInt(process.env.TOURNAMENT_ROUND_DELAY_SECONDS) || 10;
+const TOURNAMENT_MAX_ROUNDS = 20;
+const ARENA_MIN_DURATION_MINUTES = 5;
+const ARENA_MAX_DURATION_MINUTES = 360;
+const tournamentRoundTimers = new Map(); // tournamentId -> timeout for the next round
+const tournamentProgressChecks = new Map(); // tournamentId -> re-check once the running check ends
+
+// NEW: Block and mute lists, kept in memory so pairing and chat can check them
+const userBlocks = new Map(); // userId -> { blocked: Set, muted: Set }
+
+// NEW: Abandonment - how long a disconnected player has to come back before the
+// opponent may claim the win, and whether their clock keeps running ("run") or
+// is paused ("pause") meanwhile
+const ABANDON_GRACE_SECONDS = parseInt(process.env.ABANDON_GRACE_SECONDS) || 60;
+const DISCONNECT_CLOCK_POLICY =
+  process.env.DISCONNECT_CLOCK_POLICY === "pause" ? "pause" : "run";
+
+// NEW: How long restored games keep their clocks paused waiting for both players
+const RESTORE_GRACE_SECONDS = parseInt(process.env.RESTORE_GRACE_SECONDS) || 60;
+
+// NEW: Rating system - "elo" (fixed K-factor ladder) or "glicko2". Glicko-2 players
+// whose deviation is above GLICKO_PROVISIONAL_RD are provisional and left off the
+// leaderboard; deviation grows once per GLICKO_RATING_PERIOD_DAYS without a rated game.
+const RATING_SYSTEM = process.env.RATING_SYSTEM === "glicko2" ? "glicko2" : "elo";
+const GLICKO_PROVISIONAL_RD = parseInt(process.env.GLICKO_PROVISIONAL_RD) || 110;
+const GLICKO_RATING_PERIOD_DAYS =
+  parseFloat(process.env.GLICKO_RATING_PERIOD_DAYS) || 5;
+const RATING_OPTIONS = {
+  system: RATING_SYSTEM,
+  periodDays: GLICKO_RATING_PERIOD_DAYS,
+};
+
+// Leaderboard condition hiding provisional Glicko-2 players (always true with ELO)
+const PROVISIONAL_FILTER = "(? = 0 OR COALESCE(glicko_rd, 350) <= ?)";
+function provisionalFilterParams() {
+  return [RATING_SYSTEM === "glicko2" ? 1 : 0, GLICKO_PROVISIONAL_RD];
+}
+
+// NEW: Leaderboard rows (deleted accounts excluded) for the overall rating, or for
+// one time-control pool with the same column names as users
+function leaderboardSource(pool) {
+  if (!pool) {
+    return {
+      sql: "(SELECT * FROM users WHERE deleted_at IS NULL) users",
+      params: [],
+    };
+  }
+  return {
+    sql: `(
+      SELECT u.id, u.username, u.last_login, u.created_at,
+             r.elo, r.games_played, r.games_won, r.games_drawn, r.glicko_rd
+      FROM user_ratings r
+      JOIN users u ON u.id = r.user_id
+      WHERE r.pool = ? AND u.deleted_at IS NULL
+    ) users`,
+    params: [pool],
+  };
+}
+
+// NEW: Session token configuration. Without SESSION_SECRET a random secret is
+// generated, so tokens issued before a restart stop verifying after it.
+const SESSION_SECRET =
+  process.env.SESSION_SECRET || crypto.randomBytes(32).toString("hex");
+const SESSION_TTL_SECONDS =
+  parseInt(process.env.SESSION_TTL_SECONDS) || 7 * 24 * 60 * 60; // 7 days
+if (!process.env.SESSION_SECRET) {
+  console.warn(
+    "SESSION_SECRET not set - session tokens will be invalidated on restart"
+  );
+}
+
+const revokedSessions = new Map(); // sessionId -> token expiry (unix seconds)
+const sessionTokenVersions = new Map(); // userId -> users.token_version
+
 const db = new sqlite3.Database("./rimchess.db", (err) => {
   if (err) {
     console.error("Error opening database:", err);
     process.exit(1);
   }
   console.log("Connected to SQLite database");
-  initializeDatabase();
+  db.serialize(() => {
+    initializeDatabase();
+    loadUserBlocks();
+    restoreActiveGames();
+    resumeTournaments();
+  });
 });
 
 function initializeDatabase() {
@@ -115,7 +303,15 @@ function initializeDatabase() {
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       last_login DATETIME DEFAULT CURRENT_TIMESTAMP,
       games_played INTEGER DEFAULT 0,
-      games_won INTEGER DEFAULT 0
+      games_won INTEGER DEFAULT 0,
+      games_drawn INTEGER DEFAULT 0,
+      token_version INTEGER DEFAULT 0,
+      glicko_rating REAL,
+      glicko_rd REAL,
+      glicko_volatility REAL,
+      last_rated_at DATETIME,
+      username_changed_at DATETIME,
+      deleted_at DATETIME
     )
   `);
 
@@ -130,7 +326,13 @@ function initializeDatabase() {
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       finished_at DATETIME,
       total_moves INTEGER DEFAULT 0,
-      time_control_minutes INTEGER DEFAULT 30
+      time_control_minutes INTEGER DEFAULT 30,
+      takebacks_allowed INTEGER DEFAULT 1,
+      increment_seconds INTEGER DEFAULT 0,
+      delay_seconds INTEGER DEFAULT 0,
+      white_elo INTEGER,
+      black_elo INTEGER,
+      is_private INTEGER DEFAULT 0
     )
   `);
 
@@ -144,6 +346,199 @@ function initializeDatabase() {
       timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
     )
   `);
+
+  // NEW: Latest state of each in-progress game, used to restore games after a restart
+  db.run(`
+    CREATE TABLE IF NOT EXISTS game_checkpoints (
+      game_id TEXT PRIMARY KEY,
+      state TEXT NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // NEW: Every rating change, for rating progression charts
+  db.run(`
+    CREATE TABLE IF NOT EXISTS rating_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      game_id TEXT,
+      opponent_id INTEGER,
+      pool TEXT, -- NULL for the overall rating
+      rating_before INTEGER NOT NULL,
+      rating_after INTEGER NOT NULL,
+      score REAL NOT NULL,
+      recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.run(
+    "CREATE INDEX IF NOT EXISTS idx_rating_history_user ON rating_history (user_id, recorded_at)"
+  );
+
+  // NEW: Ratings per time-control pool (bullet, blitz, rapid, classical)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS user_ratings (
+      user_id INTEGER NOT NULL,
+      pool TEXT NOT NULL,
+      elo INTEGER DEFAULT 1200,
+      games_played INTEGER DEFAULT 0,
+      games_won INTEGER DEFAULT 0,
+      games_drawn INTEGER DEFAULT 0,
+      glicko_rating REAL,
+      glicko_rd REAL,
+      glicko_volatility REAL,
+      last_rated_at DATETIME,
+      PRIMARY KEY (user_id, pool)
+    )
+  `);
+
+  // NEW: Friend requests and friendships. A row is one request from requester to
+  // addressee; status becomes "accepted" once the addressee accepts it.
+  db.run(`
+    CREATE TABLE IF NOT EXISTS friendships (
+      requester_id INTEGER NOT NULL,
+      addressee_id INTEGER NOT NULL,
+      status TEXT DEFAULT 'pending',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      accepted_at DATETIME,
+      PRIMARY KEY (requester_id, addressee_id)
+    )
+  `);
+  db.run(
+    "CREATE INDEX IF NOT EXISTS idx_friendships_addressee ON friendships (addressee_id)"
+  );
+
+  // NEW: Game chat, including filtered and rejected messages for moderators to
+  // review. flag is NULL, "filtered" (words masked) or "rejected" (not delivered).
+  db.run(`
+    CREATE TABLE IF NOT EXISTS game_chat (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      game_id TEXT NOT NULL,
+      user_id INTEGER NOT NULL,
+      username TEXT NOT NULL,
+      message TEXT NOT NULL,
+      original_message TEXT NOT NULL,
+      flag TEXT,
+      sent_at INTEGER NOT NULL
+    )
+  `);
+  db.run(
+    "CREATE INDEX IF NOT EXISTS idx_game_chat_game ON game_chat (game_id, id)"
+  );
+
+  // NEW: Per-user block and mute lists (kind is "block" or "mute")
+  db.run(`
+    CREATE TABLE IF NOT EXISTS user_blocks (
+      user_id INTEGER NOT NULL,
+      target_id INTEGER NOT NULL,
+      kind TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, target_id, kind)
+    )
+  `);
+
+  // NEW: Tournaments, their players and one row per pairing (black_id is NULL for
+  // a bye; result is NULL while the game runs, see buildTournamentStandings)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS tournaments (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      type TEXT DEFAULT 'swiss',
+      status TEXT DEFAULT 'registering',
+      created_by INTEGER,
+      time_control_minutes INTEGER,
+      increment_seconds INTEGER DEFAULT 0,
+      delay_seconds INTEGER DEFAULT 0,
+      rounds INTEGER,
+      current_round INTEGER DEFAULT 0,
+      duration_minutes INTEGER, -- Arena only
+      ends_at INTEGER, -- Arena only, unix ms
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      started_at DATETIME,
+      finished_at DATETIME
+    )
+  `);
+  db.run(`
+    CREATE TABLE IF NOT EXISTS tournament_players (
+      tournament_id TEXT NOT NULL,
+      user_id INTEGER NOT NULL,
+      withdrawn INTEGER DEFAULT 0,
+      joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (tournament_id, user_id)
+    )
+  `);
+  db.run(`
+    CREATE TABLE IF NOT EXISTS tournament_pairings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tournament_id TEXT NOT NULL,
+      round INTEGER NOT NULL,
+      white_id INTEGER NOT NULL,
+      black_id INTEGER,
+      game_id TEXT,
+      result TEXT,
+      white_berserk INTEGER DEFAULT 0,
+      black_berserk INTEGER DEFAULT 0
+    )
+  `);
+  db.run(
+    "CREATE INDEX IF NOT EXISTS idx_tournament_pairings ON tournament_pairings (tournament_id, round)"
+  );
+
+  // Columns added after the original schema, for existing databases
+  addColumnIfMissing("users", "token_version", "INTEGER DEFAULT 0");
+  addColumnIfMissing("users", "games_drawn", "INTEGER DEFAULT 0");
+  addColumnIfMissing("users", "glicko_rating", "REAL");
+  addColumnIfMissing("users", "glicko_rd", "REAL");
+  addColumnIfMissing("users", "glicko_volatility", "REAL");
+  addColumnIfMissing("users", "last_rated_at", "DATETIME");
+  addColumnIfMissing("users", "username_changed_at", "DATETIME");
+  addColumnIfMissing("users", "deleted_at", "DATETIME");
+  addColumnIfMissing("games", "takebacks_allowed", "INTEGER DEFAULT 1");
+  addColumnIfMissing("games", "increment_seconds", "INTEGER DEFAULT 0");
+  addColumnIfMissing("games", "delay_seconds", "INTEGER DEFAULT 0");
+  addColumnIfMissing("games", "white_elo", "INTEGER"); // Ratings when the game started
+  addColumnIfMissing("games", "black_elo", "INTEGER");
+  addColumnIfMissing("games", "is_private", "INTEGER DEFAULT 0");
+  addColumnIfMissing("games", "tournament_id", "TEXT");
+  addColumnIfMissing("games", "variant", "TEXT DEFAULT 'standard'");
+  addColumnIfMissing("games", "initial_fen", "TEXT"); // Starting position of non-standard games
+  addColumnIfMissing("game_moves", "san", "TEXT"); // move_notation keeps the move as the client sent it
+  addColumnIfMissing("tournaments", "duration_minutes", "INTEGER");
+  addColumnIfMissing("tournaments", "ends_at", "INTEGER");
+  addColumnIfMissing("tournament_pairings", "white_berserk", "INTEGER DEFAULT 0");
+  addColumnIfMissing("tournament_pairings", "black_berserk", "INTEGER DEFAULT 0");
+  addColumnIfMissing("rating_history", "pool", "TEXT");
+
+  // NEW: Seed Glicko-2 ratings from ELO. Players with more games start more certain.
+  if (RATING_SYSTEM === "glicko2") {
+    db.run(
+      `
+      UPDATE users SET
+        glicko_rating = elo,
+        glicko_rd = CASE
+          WHEN games_played >= 30 THEN 100
+          WHEN games_played >= 10 THEN 200
+          ELSE 350
+        END,
+        glicko_volatility = 0.06
+      WHERE glicko_rating IS NULL AND games_played > 0
+    `,
+      function (err) {
+        if (err) console.error("Error migrating ratings to Glicko-2:", err);
+        else if (this.changes > 0) {
+          console.log(`Seeded Glicko-2 ratings for ${this.changes} players from ELO`);
+        }
+      }
+    );
+  }
+}
+
+// Add a column to an existing table, ignoring "duplicate column" errors
+function addColumnIfMissing(table, column, definition) {
+  db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+    if (err && !/duplicate column/i.test(err.message)) {
+      console.error(`Error adding column ${table}.${column}:`, err);
+    }
+  });
 }
 
 // Enhanced Redis error handling
@@ -165,31 +560,40 @@ redis.on("ready", () => {
 
 // CRITICAL FIX: Game timer management system with real-time updates
 class GameTimer {
-  constructor(gameId, timeControlMinutes, playerId1, playerId2) {
+  // options.incrementSeconds: Fischer increment added after every move
+  // options.delaySeconds: Bronstein delay - time used on a move is given back, up to the delay
+  // options.startingPlayer: side to move first (1/2) - black moves first in some custom positions
+  constructor(gameId, timeControlMinutes, playerId1, playerId2, options = {}) {
     this.gameId = gameId;
     this.timeControlMinutes = timeControlMinutes;
     this.playerId1 = playerId1;
     this.playerId2 = playerId2;
+    this.incrementSeconds = options.incrementSeconds || 0;
+    this.delaySeconds = options.delaySeconds || 0;
+    this.berserkPlayers = new Set(); // NEW: Player numbers (1/2) without increment or delay
 
     // Time remaining in seconds
     const totalSeconds = timeControlMinutes * 60;
     this.player1TimeRemaining = totalSeconds;
     this.player2TimeRemaining = totalSeconds;
+    this.turnStartTimeRemaining = totalSeconds; // Current player's clock when their turn began
 
-    this.currentPlayer = 1; // 1 for white, 2 for black
+    this.currentPlayer = options.startingPlayer === 2 ? 2 : 1; // 1 for white, 2 for black
     this.lastMoveTime = Date.now();
     this.isActive = true;
+    this.isPaused = false;
 
     this.startTimer();
     this.startRealTimeSync(); // NEW: Start real-time synchronization
     console.log(
-      `Game timer created for ${gameId}: ${timeControlMinutes} minutes per player`
+      `Game timer created for ${gameId}: ${timeControlMinutes} minutes per player` +
+        ` (+${this.incrementSeconds}s increment, ${this.delaySeconds}s delay)`
     );
   }
 
   startTimer() {
     this.timerInterval = setInterval(() => {
-      if (!this.isActive) return;
+      if (!this.isActive || this.isPaused) return;
 
       const now = Date.now();
       const elapsed = Math.floor((now - this.lastMoveTime) / 1000);
@@ -225,15 +629,7 @@ class GameTimer {
 
       try {
         // Send timer update to all players in the game
-        const timerData = {
-          gameId: this.gameId,
-          player1Time: this.player1TimeRemaining,
-          player2Time: this.player2TimeRemaining,
-          currentPlayer: this.currentPlayer,
-          serverTimestamp: Date.now(),
-        };
-
-        io.to(this.gameId).emit("timer_update", timerData);
+        io.to(gameAudience(this.gameId)).emit("timer_update", this.buildTimerUpdate());
         console.log(
           `Timer sync sent for game ${this.gameId}: P1=${this.player1TimeRemaining}s, P2=${this.player2TimeRemaining}s`
         );
@@ -244,22 +640,72 @@ class GameTimer {
   }
 
   switchPlayer() {
+    // NEW: Credit the player who just moved with their increment or delay
+    const moverKey =
+      this.currentPlayer === 1 ? "player1TimeRemaining" : "player2TimeRemaining";
+    if (this.berserkPlayers.has(this.currentPlayer)) {
+      // Berserk players gave up their increment or delay
+    } else if (this.incrementSeconds > 0) {
+      this[moverKey] += this.incrementSeconds;
+    } else if (this.delaySeconds > 0) {
+      const timeUsed = Math.max(0, this.turnStartTimeRemaining - this[moverKey]);
+      this[moverKey] += Math.min(this.delaySeconds, timeUsed);
+    }
+
     this.currentPlayer = this.currentPlayer === 1 ? 2 : 1;
+    this.turnStartTimeRemaining = this.getCurrentPlayerTime();
     this.lastMoveTime = Date.now();
     console.log(
       `Timer switched to player ${this.currentPlayer} for game ${this.gameId}`
     );
 
     // Send immediate timer update when player switches
-    const timerData = {
+    io.to(gameAudience(this.gameId)).emit("timer_update", this.buildTimerUpdate());
+  }
+
+  getCurrentPlayerTime() {
+    return this.currentPlayer === 1
+      ? this.player1TimeRemaining
+      : this.player2TimeRemaining;
+  }
+
+  buildTimerUpdate() {
+    return {
       gameId: this.gameId,
       player1Time: this.player1TimeRemaining,
       player2Time: this.player2TimeRemaining,
       currentPlayer: this.currentPlayer,
+      incrementSeconds: this.incrementSeconds,
+      delaySeconds: this.delaySeconds,
+      isPaused: this.isPaused,
       serverTimestamp: Date.now(),
     };
+  }
 
-    io.to(this.gameId).emit("timer_update", timerData);
+  // NEW: Arena berserk - halve a player's clock and drop their increment or delay
+  berserk(playerNumber) {
+    const key = playerNumber === 1 ? "player1TimeRemaining" : "player2TimeRemaining";
+    this[key] = Math.min(this[key], Math.floor((this.timeControlMinutes * 60) / 2));
+    if (this.currentPlayer === playerNumber) {
+      this.turnStartTimeRemaining = this[key];
+    }
+    this.berserkPlayers.add(playerNumber);
+    io.to(gameAudience(this.gameId)).emit("timer_update", this.buildTimerUpdate());
+  }
+
+  // NEW: Freeze both clocks (e.g. while a restored game waits for its players)
+  pause() {
+    if (this.isPaused) return;
+    this.isPaused = true;
+    console.log(`Timer paused for game ${this.gameId}`);
+  }
+
+  resume() {
+    if (!this.isPaused) return;
+    this.isPaused = false;
+    this.lastMoveTime = Date.now();
+    console.log(`Timer resumed for game ${this.gameId}`);
+    io.to(gameAudience(this.gameId)).emit("timer_update", this.buildTimerUpdate());
   }
 
   handleTimeExpiry(timedOutPlayerId) {
@@ -284,9 +730,33 @@ class GameTimer {
       player2Time: this.player2TimeRemaining,
       currentPlayer: this.currentPlayer,
       lastUpdate: this.lastMoveTime,
+      incrementSeconds: this.incrementSeconds,
+      delaySeconds: this.delaySeconds,
+    };
+  }
+
+  // NEW: Clock state that can be restored later (takebacks)
+  getSnapshot() {
+    return {
+      player1TimeRemaining: this.player1TimeRemaining,
+      player2TimeRemaining: this.player2TimeRemaining,
+      currentPlayer: this.currentPlayer,
+      berserkPlayers: Array.from(this.berserkPlayers),
     };
   }
 
+  restoreSnapshot(snapshot) {
+    this.player1TimeRemaining = snapshot.player1TimeRemaining;
+    this.player2TimeRemaining = snapshot.player2TimeRemaining;
+    this.currentPlayer = snapshot.currentPlayer;
+    this.berserkPlayers = new Set(snapshot.berserkPlayers || []);
+    this.turnStartTimeRemaining = this.getCurrentPlayerTime();
+    this.lastMoveTime = Date.now();
+    console.log(
+      `Timer restored for game ${this.gameId}: P1=${this.player1TimeRemaining}s, P2=${this.player2TimeRemaining}s`
+    );
+  }
+
   stop() {
     this.isActive = false;
     if (this.timerInterval) {
@@ -299,8 +769,53 @@ class GameTimer {
   }
 }
 
+// NEW: Rating pool of a game: Chess960 has its own, other games go by their clock.
+// Bronstein delay counts like increment when estimating the game length.
+function getGameRatingPool({ variant, timeControl, incrementSeconds, delaySeconds }) {
+  if (variant === "chess960") return "chess960";
+  return getRatingPool(timeControl, (incrementSeconds || 0) + (delaySeconds || 0));
+}
+
+// NEW: Only standard games move the overall ELO. Chess960 is rated in its own pool
+// only, and games from a custom position are unrated.
+function getRatingOptions(gameId) {
+  const variant = activeGames.get(gameId)?.variant || "standard";
+  return variant === "standard" ? RATING_OPTIONS : { ...RATING_OPTIONS, unrated: true };
+}
+
+// NEW: Rate a finished game in its time-control pool, alongside the overall ELO
+async function updatePoolRatings(gameId, playerId, opponentId, score) {
+  const game = activeGames.get(gameId);
+  if (!game?.timer || game.variant === "fromPosition") return null;
+
+  const pool = getGameRatingPool({
+    variant: game.variant,
+    timeControl: game.timer.timeControlMinutes,
+    incrementSeconds: game.timer.incrementSeconds,
+    delaySeconds: game.timer.delaySeconds,
+  });
+  const changes = await calculateRatingChanges(playerId, opponentId, score, db, {
+    ...RATING_OPTIONS,
+    pool,
+  });
+  await applyRatingChanges(playerId, opponentId, score, changes, db, gameId);
+  return changes;
+}
+
+// NEW: Claim a game for ending before the first await, so a second end path (a flag
+// falling while a draw is accepted, a repeated claim) cannot end and rate it twice
+function beginGameEnd(gameId) {
+  const game = activeGames.get(gameId);
+  if (!game || game.ending) return false;
+  game.ending = true;
+  if (game.timer) game.timer.stop();
+  return true;
+}
+
 // NEW: Enhanced game end handling functions
 async function endGameByCheckmate(gameId, winnerId, loserId, finalFen) {
+  if (!beginGameEnd(gameId)) return;
+
   console.log(`CHECKMATE DETECTED in game ${gameId}!`);
 
   try {
@@ -339,11 +854,14 @@ async function endGameByCheckmate(gameId, winnerId, loserId, finalFen) {
       lastMove: game?.chess?.history({ verbose: true })?.slice(-1)[0] || null,
     };
 
+    // NEW: Pool rating first - new pools start from the pre-game overall ELO
+    const poolChanges = await updatePoolRatings(gameId, winnerId, loserId, 1);
+
     // CRITICAL FIX: Calculate ELO changes BEFORE creating game over data
-    const eloChanges = await calculateEloChanges(winnerId, loserId, db);
+    const eloChanges = await calculateEloChanges(winnerId, loserId, db, getRatingOptions(gameId));
     
     // Update player ELOs in database first
-    await updatePlayerElos(winnerId, loserId, eloChanges, db);
+    await updatePlayerElos(winnerId, loserId, eloChanges, db, gameId);
 
     // CRITICAL FIX: Notify BOTH players about checkmate with visual data AND ELO updates
     const gameOverData = {
@@ -362,24 +880,33 @@ async function endGameByCheckmate(gameId, winnerId, loserId, finalFen) {
       winnerEloChange: eloChanges.winnerChange,
       loserEloChange: eloChanges.loserChange,
       winnerNewElo: eloChanges.winnerNewElo,
-      loserNewElo: eloChanges.loserNewElo
+      loserNewElo: eloChanges.loserNewElo,
+      poolRating: poolChanges && {
+        pool: poolChanges.pool,
+        winnerChange: poolChanges.playerChange,
+        loserChange: poolChanges.opponentChange,
+        winnerNewRating: poolChanges.playerNewElo,
+        loserNewRating: poolChanges.opponentNewElo,
+      },
     };
 
     // Send to all players in the game room
-    io.to(gameId).emit("game_over", gameOverData);
+    io.to(gameAudience(gameId)).emit("game_over", gameOverData);
     console.log(
       `Checkmate notification sent to both players in game ${gameId} with visual board data and ELO updates`
     );
     console.log(`ELO changes applied: Winner: ${winnerUser?.username} +${eloChanges.winnerChange} (${eloChanges.winnerNewElo}), Loser: ${loserUser?.username} ${eloChanges.loserChange} (${eloChanges.loserNewElo})`);
 
     // Clean up
-    activeGames.delete(gameId);
+    removeActiveGame(gameId);
   } catch (error) {
     console.error(`Error ending game by checkmate: ${error}`);
   }
 }
 
 async function endGameByResignation(gameId, resignedPlayerId) {
+  if (!beginGameEnd(gameId)) return;
+
   console.log(
     `RESIGNATION: Player ${resignedPlayerId} resigned from game ${gameId}`
   );
@@ -412,11 +939,14 @@ async function endGameByResignation(gameId, resignedPlayerId) {
     const winnerUser = await getUserById(winnerId, db);
     const resignedUser = await getUserById(resignedPlayerId, db);
 
+    // NEW: Pool rating first - new pools start from the pre-game overall ELO
+    const poolChanges = await updatePoolRatings(gameId, winnerId, resignedPlayerId, 1);
+
     // CRITICAL FIX: Calculate ELO changes for resignation
-    const eloChanges = await calculateEloChanges(winnerId, resignedPlayerId, db);
+    const eloChanges = await calculateEloChanges(winnerId, resignedPlayerId, db, getRatingOptions(gameId));
     
     // Update player ELOs in database first
-    await updatePlayerElos(winnerId, resignedPlayerId, eloChanges, db);
+    await updatePlayerElos(winnerId, resignedPlayerId, eloChanges, db, gameId);
 
     // Stop game timer
     if (game.timer) {
@@ -440,24 +970,33 @@ async function endGameByResignation(gameId, resignedPlayerId) {
       winnerEloChange: eloChanges.winnerChange,
       loserEloChange: eloChanges.loserChange,
       winnerNewElo: eloChanges.winnerNewElo,
-      loserNewElo: eloChanges.loserNewElo
+      loserNewElo: eloChanges.loserNewElo,
+      poolRating: poolChanges && {
+        pool: poolChanges.pool,
+        winnerChange: poolChanges.playerChange,
+        loserChange: poolChanges.opponentChange,
+        winnerNewRating: poolChanges.playerNewElo,
+        loserNewRating: poolChanges.opponentNewElo,
+      },
     };
 
     // Send to all players in the game room
-    io.to(gameId).emit("game_over", gameOverData);
+    io.to(gameAudience(gameId)).emit("game_over", gameOverData);
     console.log(
       `Resignation notification sent: ${resignedUser?.username} resigned, ${winnerUser?.username} wins`
     );
     console.log(`ELO changes applied: Winner: ${winnerUser?.username} +${eloChanges.winnerChange} (${eloChanges.winnerNewElo}), Loser: ${resignedUser?.username} ${eloChanges.loserChange} (${eloChanges.loserNewElo})`);
 
     // Clean up
-    activeGames.delete(gameId);
+    removeActiveGame(gameId);
   } catch (error) {
     console.error(`Error ending game by resignation: ${error}`);
   }
 }
 
 async function endGameByTimeout(gameId, winnerId, timedOutPlayerId) {
+  if (!beginGameEnd(gameId)) return;
+
   console.log(
     `TIMEOUT: Player ${timedOutPlayerId} timed out in game ${gameId}, winner: ${winnerId}`
   );
@@ -479,11 +1018,14 @@ async function endGameByTimeout(gameId, winnerId, timedOutPlayerId) {
     const winnerUser = await getUserById(winnerId, db);
     const timedOutUser = await getUserById(timedOutPlayerId, db);
 
+    // NEW: Pool rating first - new pools start from the pre-game overall ELO
+    const poolChanges = await updatePoolRatings(gameId, winnerId, timedOutPlayerId, 1);
+
     // CRITICAL FIX: Calculate ELO changes for timeout
-    const eloChanges = await calculateEloChanges(winnerId, timedOutPlayerId, db);
+    const eloChanges = await calculateEloChanges(winnerId, timedOutPlayerId, db, getRatingOptions(gameId));
     
     // Update player ELOs in database first
-    await updatePlayerElos(winnerId, timedOutPlayerId, eloChanges, db);
+    await updatePlayerElos(winnerId, timedOutPlayerId, eloChanges, db, gameId);
 
     // Stop game timer
     const game = activeGames.get(gameId);
@@ -508,50 +1050,43 @@ async function endGameByTimeout(gameId, winnerId, timedOutPlayerId) {
       winnerEloChange: eloChanges.winnerChange,
       loserEloChange: eloChanges.loserChange,
       winnerNewElo: eloChanges.winnerNewElo,
-      loserNewElo: eloChanges.loserNewElo
+      loserNewElo: eloChanges.loserNewElo,
+      poolRating: poolChanges && {
+        pool: poolChanges.pool,
+        winnerChange: poolChanges.playerChange,
+        loserChange: poolChanges.opponentChange,
+        winnerNewRating: poolChanges.playerNewElo,
+        loserNewRating: poolChanges.opponentNewElo,
+      },
     };
 
-    io.to(gameId).emit("game_over", gameOverData);
+    io.to(gameAudience(gameId)).emit("game_over", gameOverData);
     console.log(
       `Timeout notification sent: ${timedOutUser?.username} timed out, ${winnerUser?.username} wins`
     );
     console.log(`ELO changes applied: Winner: ${winnerUser?.username} +${eloChanges.winnerChange} (${eloChanges.winnerNewElo}), Loser: ${timedOutUser?.username} ${eloChanges.loserChange} (${eloChanges.loserNewElo})`);
 
     // Clean up
-    activeGames.delete(gameId);
+    removeActiveGame(gameId);
   } catch (error) {
     console.error(`Error ending game by timeout: ${error}`);
   }
 }
 
-// CRITICAL FIX: Enhanced checkmate detection function
-function detectGameEnd(chess, gameId, winnerId, loserId) {
-  if (chess.isCheckmate()) {
-    console.log(`CHECKMATE DETECTED in game ${gameId}!`);
-    const finalFen = chess.fen();
-    endGameByCheckmate(gameId, winnerId, loserId, finalFen);
-    return true;
-  } else if (chess.isStalemate()) {
-    console.log(`STALEMATE DETECTED in game ${gameId}`);
-    endGameByDraw(gameId, "stalemate");
-    return true;
-  } else if (chess.isDraw()) {
-    console.log(`DRAW DETECTED in game ${gameId}`);
-    endGameByDraw(gameId, "draw");
-    return true;
-  }
-  return false;
-}
+// NEW: Opponent claimed the win after a disconnected player's grace period ran out
+async function endGameByAbandonment(gameId, winnerId, abandonedPlayerId) {
+  if (!beginGameEnd(gameId)) return;
 
-async function endGameByDraw(gameId, reason) {
-  console.log(`DRAW: Game ${gameId} ended in ${reason}`);
+  console.log(
+    `ABANDONMENT: Player ${abandonedPlayerId} abandoned game ${gameId}, winner: ${winnerId}`
+  );
 
   try {
-    // Update database (no winner for draws)
+    // Update database
     await new Promise((resolve, reject) => {
       db.run(
-        "UPDATE games SET status = ?, end_reason = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?",
-        ["finished", reason, gameId],
+        "UPDATE games SET status = ?, winner_id = ?, end_reason = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?",
+        ["finished", winnerId, "abandonment", gameId],
         (err) => {
           if (err) reject(err);
           else resolve();
@@ -559,709 +1094,4610 @@ async function endGameByDraw(gameId, reason) {
       );
     });
 
+    // Get player usernames
+    const winnerUser = await getUserById(winnerId, db);
+    const abandonedUser = await getUserById(abandonedPlayerId, db);
+
+    // NEW: Pool rating first - new pools start from the pre-game overall ELO
+    const poolChanges = await updatePoolRatings(gameId, winnerId, abandonedPlayerId, 1);
+
+    const eloChanges = await calculateEloChanges(winnerId, abandonedPlayerId, db, getRatingOptions(gameId));
+    await updatePlayerElos(winnerId, abandonedPlayerId, eloChanges, db, gameId);
+
     // Stop game timer
     const game = activeGames.get(gameId);
     if (game && game.timer) {
       game.timer.stop();
     }
 
-    // Notify both players
     const gameOverData = {
       gameId,
-      result: "draw",
-      winner: null, // No winner in a draw
-      reason: reason,
+      result: "abandonment",
+      winner: winnerUser?.username || "Unknown",
+      loser: abandonedUser?.username || "Unknown",
+      reason: "abandonment",
+      abandonedPlayer: abandonedUser?.username || "Unknown",
       totalMoves: game?.chess?.history()?.length || 0,
       gameDuration: Math.floor(
         (Date.now() - (game?.startTime || Date.now())) / 1000
       ),
       finalFen: game?.chess?.fen() || null,
+      eloChanges: eloChanges,
+      winnerEloChange: eloChanges.winnerChange,
+      loserEloChange: eloChanges.loserChange,
+      winnerNewElo: eloChanges.winnerNewElo,
+      loserNewElo: eloChanges.loserNewElo,
+      poolRating: poolChanges && {
+        pool: poolChanges.pool,
+        winnerChange: poolChanges.playerChange,
+        loserChange: poolChanges.opponentChange,
+        winnerNewRating: poolChanges.playerNewElo,
+        loserNewRating: poolChanges.opponentNewElo,
+      },
     };
 
-    io.to(gameId).emit("game_over", gameOverData);
-    console.log(`Draw notification sent for game ${gameId}: ${reason}`);
+    io.to(gameAudience(gameId)).emit("game_over", gameOverData);
+    console.log(
+      `Abandonment notification sent: ${abandonedUser?.username} abandoned, ${winnerUser?.username} wins`
+    );
 
     // Clean up
-    activeGames.delete(gameId);
+    removeActiveGame(gameId);
   } catch (error) {
-    console.error(`Error ending game by draw: ${error}`);
+    console.error(`Error ending game by abandonment: ${error}`);
   }
 }
 
-// Cleanup function for disconnected clients
-function cleanupClient(socketId, username) {
-  try {
-    // Remove from connected clients
-    connectedClients.delete(socketId);
-    connectionHeartbeats.delete(socketId);
-
-    // Remove from waiting games
-    const gameIndex = waitingGames.findIndex((g) => {
-      const client = connectedClients.get(socketId);
-      return client && g.creatorId === client.userId;
-    });
-
-    if (gameIndex !== -1) {
-      const game = waitingGames[gameIndex];
-      waitingGames.splice(gameIndex, 1);
-      db.run("DELETE FROM games WHERE id = ? AND status = ?", [
-        game.gameId,
-        "waiting",
-      ]);
-      console.log(`Cleaned up waiting game for ${username}`);
-    }
-  } catch (error) {
-    console.error("Error during client cleanup:", error);
+// CRITICAL FIX: Enhanced checkmate detection function
+function detectGameEnd(chess, gameId, winnerId, loserId) {
+  if (chess.isCheckmate()) {
+    console.log(`CHECKMATE DETECTED in game ${gameId}!`);
+    const finalFen = chess.fen();
+    endGameByCheckmate(gameId, winnerId, loserId, finalFen);
+    return true;
+  } else if (chess.isStalemate()) {
+    console.log(`STALEMATE DETECTED in game ${gameId}`);
+    endGameByDraw(gameId, "stalemate");
+    return true;
+  } else if (chess.isInsufficientMaterial()) {
+    console.log(`INSUFFICIENT MATERIAL DETECTED in game ${gameId}`);
+    endGameByDraw(gameId, "insufficient_material");
+    return true;
   }
+  // Threefold repetition and the fifty-move rule only end the game when claimed
+  return false;
 }
 
-// Connection monitoring
-setInterval(() => {
-  const now = Date.now();
-  const staleConnections = [];
+// NEW: Spectators get their own room so they receive moves and clocks but not player chat
+function spectatorRoom(gameId) {
+  return `${gameId}:spectators`;
+}
 
-  connectionHeartbeats.forEach((lastSeen, socketId) => {
-    if (now - lastSeen > 180000) {
-      // 3 minutes
-      staleConnections.push(socketId);
-    }
-  });
+function gameAudience(gameId) {
+  return [gameId, spectatorRoom(gameId)];
+}
 
-  staleConnections.forEach((socketId) => {
-    const client = connectedClients.get(socketId);
-    if (client) {
-      console.log(`Cleaning up stale connection: ${client.username}`);
-      cleanupClient(socketId, client.username);
-    }
+function broadcastSpectatorCount(activeGame) {
+  io.to(gameAudience(activeGame.gameId)).emit("spectator_count", {
+    gameId: activeGame.gameId,
+    count: activeGame.spectators.size,
   });
-}, 60000); // Check every minute
-
-// Enhanced connection handling
-io.on("connection", (socket) => {
-  const clientIP =
-    socket.handshake.headers["x-forwarded-for"] || socket.handshake.address;
-  console.log(`Client connected: ${socket.id} from ${clientIP}`);
+}
 
-  // Initialize heartbeat tracking
-  connectionHeartbeats.set(socket.id, Date.now());
+function removeSpectator(socket, activeGame) {
+  if (!activeGame.spectators.delete(socket.id)) return false;
+  socket.leave(spectatorRoom(activeGame.gameId));
+  broadcastSpectatorCount(activeGame);
+  return true;
+}
 
-  // Send immediate connection confirmation with enhanced info
-  socket.emit("connection_confirmed", {
-    socketId: socket.id,
-    timestamp: Date.now(),
-    server: "RimChess Server v1.2-Enhanced",
-    transport: socket.conn.transport.name,
+// Active games that can be watched, with player names and spectator counts
+async function getLiveGamesList() {
+  const games = Array.from(activeGames.values()).filter((g) => !g.isPrivate);
+  const playerIds = [
+    ...new Set(games.flatMap((g) => [g.playerId1, g.playerId2])),
+  ];
+  if (playerIds.length === 0) return [];
+
+  const placeholders = playerIds.map(() => "?").join(",");
+  const users = await new Promise((resolve, reject) => {
+    db.all(
+      `SELECT id, username, elo FROM users WHERE id IN (${placeholders})`,
+      playerIds,
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      }
+    );
   });
+  const usersById = new Map(users.map((u) => [u.id, u]));
 
-  // Enhanced heartbeat handling
-  socket.on("ping", () => {
-    connectionHeartbeats.set(socket.id, Date.now());
-    socket.emit("pong", { timestamp: Date.now() });
-  });
+  return games.map((game) => ({
+    gameId: game.gameId,
+    white: {
+      username: usersById.get(game.playerId1)?.username || "Unknown",
+      elo: usersById.get(game.playerId1)?.elo || null,
+    },
+    black: {
+      username: usersById.get(game.playerId2)?.username || "Unknown",
+      elo: usersById.get(game.playerId2)?.elo || null,
+    },
+    moveCount: game.chess.history().length,
+    variant: game.variant,
+    timeControl: game.timer?.timeControlMinutes || null,
+    incrementSeconds: game.timer?.incrementSeconds || 0,
+    spectators: game.spectators.size,
+    startedAt: new Date(game.startTime).toISOString(),
+  }));
+}
 
-  // Custom heartbeat event
-  socket.on("heartbeat", () => {
-    connectionHeartbeats.set(socket.id, Date.now());
-    socket.emit("heartbeat_ack", { timestamp: Date.now() });
-  });
+// NEW: Validate the time control and options sent with create_game or a challenge
+function parseGameOptions(data) {
+  const incrementSeconds = Math.max(0, parseInt(data?.incrementSeconds) || 0);
+  const delaySeconds = Math.max(0, parseInt(data?.delaySeconds) || 0);
 
-  // Transport upgrade handling with better logging
-  socket.conn.on("upgrade", () => {
-    const client = connectedClients.get(socket.id);
-    const username = client ? client.username : "unknown";
-    console.log(
-      `Transport upgraded to ${socket.conn.transport.name} for ${username} (${socket.id})`
-    );
+  if (incrementSeconds > 0 && delaySeconds > 0) {
+    return { error: "Choose either an increment or a delay, not both" };
+  }
+  if (incrementSeconds > MAX_INCREMENT_SECONDS || delaySeconds > MAX_INCREMENT_SECONDS) {
+    return {
+      error: `Increment and delay can be at most ${MAX_INCREMENT_SECONDS} seconds`,
+    };
+  }
 
-    // Update client transport info
-    if (client) {
-      client.transport = socket.conn.transport.name;
+  // NEW: Variants - a Chess960 start is drawn now, a custom position must be a valid FEN
+  const variant = GAME_VARIANTS.includes(data?.variant) ? data.variant : "standard";
+  let initialFen = null;
+  if (variant === "chess960") {
+    initialFen = generateChess960Fen();
+  } else if (variant === "fromPosition") {
+    const position = validateStartingFen(data?.fen);
+    if (position.error) return { error: position.error };
+    initialFen = position.fen;
+  }
+
+  return {
+    timeControl: parseInt(data?.timeControl) || 30,
+    incrementSeconds,
+    delaySeconds,
+    allowTakebacks: data?.allowTakebacks !== false, // Rated games may opt out
+    variant,
+    initialFen,
+  };
+}
+
+// NEW: Colour preference for create_game, join_queue and challenges
+function parseColorPreference(data) {
+  return ["white", "black", "random"].includes(data?.color)
+    ? data.color
+    : "random";
+}
+
+// First connected client (socket) of a user, or undefined
+function findClientByUserId(userId) {
+  return Array.from(connectedClients.values()).find(
+    (c) => c.userId === userId
+  );
+}
+
+// All connected clients (sockets) of a user
+function getUserClients(userId) {
+  return Array.from(connectedClients.values()).filter(
+    (c) => c.userId === userId
+  );
+}
+
+function emitToUser(userId, event, payload) {
+  getUserClients(userId).forEach((c) => c.socket.emit(event, payload));
+}
+
+// NEW: Drop a user's open (waiting) games
+function removeWaitingGames(userId) {
+  for (let i = waitingGames.length - 1; i >= 0; i--) {
+    if (waitingGames[i].creatorId !== userId) continue;
+    const [previous] = waitingGames.splice(i, 1);
+    db.run("DELETE FROM games WHERE id = ? AND status = ?", [
+      previous.gameId,
+      "waiting",
+    ]);
+    console.log(`Removed open game ${previous.gameId} of user ${userId}`);
+  }
+}
+
+function isUserInActiveGame(userId) {
+  // Players being paired into a game count as busy so they cannot be double-booked
+  if (pairingReservations.has(userId)) return true;
+  return Array.from(activeGames.values()).some(
+    (g) => g.playerId1 === userId || g.playerId2 === userId
+  );
+}
+
+// NEW: Start a game between two connected clients - shared by matchmaking and
+// challenges. The caller has already stored the game as "inprogress".
+function startGame(gameId, whiteClient, blackClient, options) {
+  const timeControl = options.timeControl || 30;
+
+  // NEW: Players starting a game by any route leave the matchmaking queue and
+  // close their other open games
+  removeFromQueue(whiteClient.userId, "game_started");
+  removeFromQueue(blackClient.userId, "game_started");
+  removeWaitingGames(whiteClient.userId);
+  removeWaitingGames(blackClient.userId);
+
+  // Join both players to game room
+  whiteClient.socket.join(gameId);
+  blackClient.socket.join(gameId);
+
+  // CRITICAL FIX: Initialize game timer and active game tracking
+  const chess = createGameChess(options.variant, options.initialFen);
+  const activeGame = {
+    gameId,
+    playerId1: whiteClient.userId,
+    playerId2: blackClient.userId,
+    timer: new GameTimer(
+      gameId,
+      timeControl,
+      whiteClient.userId,
+      blackClient.userId,
+      {
+        incrementSeconds: options.incrementSeconds,
+        delaySeconds: options.delaySeconds,
+        startingPlayer: chess.turn() === "w" ? 1 : 2,
+      }
+    ),
+    chess,
+    variant: options.variant || "standard",
+    initialFen: options.initialFen || null,
+    startTime: Date.now(),
+    allowTakebacks: options.allowTakebacks !== false,
+    isPrivate: options.isPrivate === true,
+    timerHistory: [], // Clock snapshot taken before each move
+    spectators: new Set(), // Socket ids watching this game
+    disconnectedPlayers: new Map(), // userId -> abandonment countdown
+  };
+  activeGames.set(gameId, activeGame);
+
+  // Notify both players
+  const matchInfo = {
+    gameId,
+    timeControl,
+    incrementSeconds: options.incrementSeconds || 0,
+    delaySeconds: options.delaySeconds || 0,
+    allowTakebacks: activeGame.allowTakebacks,
+    variant: activeGame.variant,
+    initialFen: activeGame.chess.fen(),
+    rated: activeGame.variant !== "fromPosition",
+    ratingPool: getGameRatingPool({ ...options, timeControl }),
+  };
+  whiteClient.socket.emit("match_found", {
+    ...matchInfo,
+    yourColor: "white",
+    opponent: { username: blackClient.username, elo: blackClient.elo },
+  });
+  blackClient.socket.emit("match_found", {
+    ...matchInfo,
+    yourColor: "black",
+    opponent: { username: whiteClient.username, elo: whiteClient.elo },
+  });
+
+  notifyFriends(whiteClient.userId, whiteClient.username, "game_started");
+  notifyFriends(blackClient.userId, blackClient.username, "game_started");
+
+  console.log(
+    `Match found: ${gameId} - ${whiteClient.username} vs ${blackClient.username} with ${timeControl}min+${options.incrementSeconds || 0}s timer`
+  );
+  return activeGame;
+}
+
+// NEW: Challenge helpers
+function serializeChallenge(challenge) {
+  return {
+    challengeId: challenge.challengeId,
+    challenger: challenge.challengerName,
+    target: challenge.targetName,
+    color: challenge.color, // From the challenger's point of view
+    timeControl: challenge.options.timeControl,
+    incrementSeconds: challenge.options.incrementSeconds,
+    delaySeconds: challenge.options.delaySeconds,
+    allowTakebacks: challenge.options.allowTakebacks,
+    variant: challenge.options.variant,
+    initialFen: challenge.options.initialFen,
+    expiresAt: challenge.expiresAt,
+  };
+}
+
+function removeChallenge(challengeId) {
+  const challenge = pendingChallenges.get(challengeId);
+  if (!challenge) return null;
+
+  clearTimeout(challenge.expiryTimeout);
+  pendingChallenges.delete(challengeId);
+  return challenge;
+}
+
+// Withdraw every challenge involving a user who has gone offline
+function cancelChallengesForUser(userId) {
+  Array.from(pendingChallenges.values())
+    .filter((c) => c.challengerId === userId || c.targetId === userId)
+    .forEach((challenge) => {
+      removeChallenge(challenge.challengeId);
+      const otherId =
+        challenge.challengerId === userId
+          ? challenge.targetId
+          : challenge.challengerId;
+      emitToUser(otherId, "challenge_cancelled", {
+        challengeId: challenge.challengeId,
+        reason: "Player went offline",
+      });
+    });
+}
+
+// Seat a client as black in a waiting game and start it (matchmaking and invite codes)
+async function joinWaitingGame(socket, client, game) {
+  // Neither player may be seated in a second game
+  if (isUserInActiveGame(client.userId) || isUserInActiveGame(game.creatorId)) {
+    socket.emit("error", { message: "A player in this game is already busy" });
+    return;
+  }
+
+  // Remove game from waiting list
+  const gameIndex = waitingGames.indexOf(game);
+  if (gameIndex === -1) {
+    socket.emit("error", { message: "Game is no longer available" });
+    return;
+  }
+  waitingGames.splice(gameIndex, 1);
+
+  // NEW: Colours follow the creator's preference, or recent colour history
+  pairingReservations.add(game.creatorId);
+  pairingReservations.add(client.userId);
+  const { white, black } = await assignColors(
+    { userId: game.creatorId, color: game.color || "random" },
+    { userId: client.userId, color: "random" },
+    db
+  );
+
+  // Update game in database, recording both ratings at game start
+  db.run(
+    `UPDATE games SET player_white_id = ?, player_black_id = ?, status = ?,
+       white_elo = (SELECT elo FROM users WHERE id = ?),
+       black_elo = (SELECT elo FROM users WHERE id = ?)
+     WHERE id = ?`,
+    [white.userId, black.userId, "inprogress", white.userId, black.userId, game.gameId],
+    function (err) {
+      pairingReservations.delete(game.creatorId);
+      pairingReservations.delete(client.userId);
+
+      if (err) {
+        console.error("Error updating game:", err);
+        socket.emit("error", { message: "Failed to join game" });
+        return;
+      }
+
+      // Find creator socket
+      const creatorClient = findClientByUserId(game.creatorId);
+
+      if (creatorClient && creatorClient.socket.connected) {
+        const creatorIsWhite = white.userId === game.creatorId;
+        startGame(
+          game.gameId,
+          creatorIsWhite ? creatorClient : client,
+          creatorIsWhite ? client : creatorClient,
+          game
+        );
+      } else {
+        socket.emit("error", { message: "Opponent no longer available" });
+        // Re-add game to waiting list, with the creator back in their seat
+        db.run(
+          "UPDATE games SET player_white_id = ?, player_black_id = NULL, status = ? WHERE id = ?",
+          [game.creatorId, "waiting", game.gameId]
+        );
+        waitingGames.push(game);
+      }
     }
+  );
+}
+
+// NEW: Invite code not used by any other waiting game
+function createUniqueInviteCode() {
+  let code;
+  do {
+    code = generateInviteCode();
+  } while (waitingGames.some((g) => g.inviteCode === code));
+  return code;
+}
+
+function findGameByInviteCode(code) {
+  const normalized = String(code || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+  return waitingGames.find((g) => g.inviteCode && g.inviteCode === normalized);
+}
+
+// Get an active game the client is playing in, or null
+function getPlayerGame(client, gameId) {
+  const activeGame = activeGames.get(gameId);
+  if (
+    !activeGame ||
+    (client.userId !== activeGame.playerId1 &&
+      client.userId !== activeGame.playerId2)
+  ) {
+    return null;
+  }
+  return activeGame;
+}
+
+// Authoritative game state sent to clients that need to resynchronise
+function buildGameSyncData(activeGame) {
+  const history = activeGame.chess.history();
+  return {
+    gameId: activeGame.gameId,
+    fen: activeGame.chess.fen(),
+    turn: activeGame.chess.turn() === "w" ? "white" : "black",
+    moves: history,
+    lastMove: history.slice(-1)[0] || null,
+    timerData: activeGame.timer ? activeGame.timer.getTimerData() : null,
+    moveCount: history.length,
+    variant: activeGame.variant,
+    initialFen: activeGame.initialFen,
+    serverTimestamp: Date.now(),
+  };
+}
+
+// NEW: Undo the last plies of a game, restoring the clocks to before the first undone move
+async function applyTakeback(activeGame, plies) {
+  const gameId = activeGame.gameId;
+
+  for (let i = 0; i < plies; i++) {
+    activeGame.chess.undo();
+  }
+
+  const snapshots = activeGame.timerHistory.splice(-plies);
+  if (activeGame.timer && snapshots.length > 0) {
+    activeGame.timer.restoreSnapshot(snapshots[0]);
+  }
+
+  activeGame.takebackRequest = null;
+  activeGame.drawOffer = null;
+
+  const moveCount = activeGame.chess.history().length;
+  db.run("DELETE FROM game_moves WHERE game_id = ? AND move_number > ?", [
+    gameId,
+    moveCount,
+  ]);
+
+  try {
+    await redis.set(`game:${gameId}:fen`, activeGame.chess.fen());
+    await redis.set(
+      `game:${gameId}:turn`,
+      activeGame.chess.turn() === "w" ? "white" : "black"
+    );
+  } catch (redisError) {
+    console.error("Redis error updating game state:", redisError);
+  }
+
+  await checkpointGame(activeGame);
+
+  io.to(gameId).emit("takeback_accepted", { gameId, plies });
+  io.to(gameAudience(gameId)).emit("game_sync_response", {
+    ...buildGameSyncData(activeGame),
+    reason: "takeback",
   });
+  console.log(`Takeback of ${plies} ply applied in game ${gameId}`);
+}
+
+async function endGameByDraw(gameId, reason) {
+  if (!beginGameEnd(gameId)) return;
+
+  console.log(`DRAW: Game ${gameId} ended in ${reason}`);
+
+  try {
+    // Update database (no winner for draws)
+    await new Promise((resolve, reject) => {
+      db.run(
+        "UPDATE games SET status = ?, end_reason = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?",
+        ["finished", reason, gameId],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+
+    // Stop game timer
+    const game = activeGames.get(gameId);
+    if (game && game.timer) {
+      game.timer.stop();
+    }
+
+    // NEW: Draws are rated too - both players score 0.5
+    let ratingChanges = { playerChange: 0, opponentChange: 0 };
+    let poolChanges = null;
+    if (game) {
+      // Pool rating first - new pools start from the pre-game overall ELO
+      poolChanges = await updatePoolRatings(
+        gameId,
+        game.playerId1,
+        game.playerId2,
+        0.5
+      );
+      ratingChanges = await calculateRatingChanges(
+        game.playerId1,
+        game.playerId2,
+        0.5,
+        db,
+        getRatingOptions(gameId)
+      );
+      await applyRatingChanges(
+        game.playerId1,
+        game.playerId2,
+        0.5,
+        ratingChanges,
+        db,
+        gameId
+      );
+    }
+
+    // Notify both players
+    const gameOverData = {
+      gameId,
+      result: "draw",
+      winner: null, // No winner in a draw
+      reason: reason,
+      totalMoves: game?.chess?.history()?.length || 0,
+      gameDuration: Math.floor(
+        (Date.now() - (game?.startTime || Date.now())) / 1000
+      ),
+      finalFen: game?.chess?.fen() || null,
+      eloChanges: {
+        whiteChange: ratingChanges.playerChange,
+        blackChange: ratingChanges.opponentChange,
+        whiteNewElo: ratingChanges.playerNewElo,
+        blackNewElo: ratingChanges.opponentNewElo,
+      },
+      whiteEloChange: ratingChanges.playerChange,
+      blackEloChange: ratingChanges.opponentChange,
+      whiteNewElo: ratingChanges.playerNewElo,
+      blackNewElo: ratingChanges.opponentNewElo,
+      poolRating: poolChanges && {
+        pool: poolChanges.pool,
+        whiteChange: poolChanges.playerChange,
+        blackChange: poolChanges.opponentChange,
+        whiteNewRating: poolChanges.playerNewElo,
+        blackNewRating: poolChanges.opponentNewElo,
+      },
+    };
+
+    io.to(gameAudience(gameId)).emit("game_over", gameOverData);
+    console.log(`Draw notification sent for game ${gameId}: ${reason}`);
+
+    // Clean up
+    removeActiveGame(gameId);
+  } catch (error) {
+    console.error(`Error ending game by draw: ${error}`);
+  }
+}
+
+// NEW: Persist the state needed to rebuild an active game after a restart
+function buildGameCheckpoint(activeGame) {
+  const timer = activeGame.timer;
+  return {
+    gameId: activeGame.gameId,
+    playerId1: activeGame.playerId1,
+    playerId2: activeGame.playerId2,
+    moves: activeGame.chess.history(),
+    fen: activeGame.chess.fen(),
+    variant: activeGame.variant,
+    initialFen: activeGame.initialFen,
+    startTime: activeGame.startTime,
+    allowTakebacks: activeGame.allowTakebacks,
+    isPrivate: activeGame.isPrivate,
+    timeControl: timer?.timeControlMinutes,
+    incrementSeconds: timer?.incrementSeconds || 0,
+    delaySeconds: timer?.delaySeconds || 0,
+    clocks: timer ? timer.getSnapshot() : null,
+    timerHistory: activeGame.timerHistory || [],
+    checkpointedAt: Date.now(),
+  };
+}
+
+// SQLite is the only checkpoint store - restoreActiveGames reads it on boot
+async function checkpointGame(activeGame) {
+  const gameId = activeGame.gameId;
+  // A game that is ending (or gone) must not have its checkpoint written back
+  if (activeGame.ending || activeGames.get(gameId) !== activeGame) return;
+  const state = JSON.stringify(buildGameCheckpoint(activeGame));
+
+  try {
+    await new Promise((resolve, reject) => {
+      db.run(
+        "INSERT OR REPLACE INTO game_checkpoints (game_id, state, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)",
+        [gameId, state],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+  } catch (error) {
+    console.error(`Error checkpointing game ${gameId}:`, error);
+  }
+}
+
+// Remove a finished game from memory along with its checkpoint
+function removeActiveGame(gameId) {
+  const game = activeGames.get(gameId);
+  if (game?.restoreGraceTimeout) clearTimeout(game.restoreGraceTimeout);
+  game?.disconnectedPlayers.forEach((d) => clearTimeout(d.graceTimeout));
+  activeGames.delete(gameId);
+  io.socketsLeave(spectatorRoom(gameId));
+
+  // NEW: Friends see the players become available again
+  if (game) {
+    [game.playerId1, game.playerId2].forEach((playerId) => {
+      notifyFriends(
+        playerId,
+        findClientByUserId(playerId)?.username,
+        "game_finished"
+      );
+    });
+  }
+
+  db.run("DELETE FROM game_checkpoints WHERE game_id = ?", [gameId]);
+
+  recordTournamentResult(gameId); // NEW
+}
+
+// NEW: Rebuild checkpointed games on boot. Clocks stay paused until both
+// players have rejoined with reconnect_to_game or the grace period runs out.
+function restoreActiveGames() {
+  db.all(
+    `
+    SELECT c.game_id, c.state
+    FROM game_checkpoints c
+    JOIN games g ON g.id = c.game_id
+    WHERE g.status = 'inprogress'
+  `,
+    (err, rows) => {
+      if (err) {
+        console.error("Error loading game checkpoints:", err);
+        return;
+      }
+
+      (rows || []).forEach((row) => {
+        try {
+          const state = JSON.parse(row.state);
+
+          const chess = createGameChess(state.variant, state.initialFen);
+          state.moves.forEach((move) => chess.move(move));
+          if (chess.fen() !== state.fen) {
+            console.warn(`Replayed position differs from checkpoint for ${row.game_id}`);
+          }
+
+          // The clock runs for whoever is to move in the replayed position
+          const currentPlayer = chess.turn() === "w" ? 1 : 2;
+          const timer = new GameTimer(
+            state.gameId,
+            state.timeControl || 30,
+            state.playerId1,
+            state.playerId2,
+            {
+              incrementSeconds: state.incrementSeconds,
+              delaySeconds: state.delaySeconds,
+              startingPlayer: currentPlayer,
+            }
+          );
+          if (state.clocks) timer.restoreSnapshot({ ...state.clocks, currentPlayer });
+          timer.pause();
+
+          const activeGame = {
+            gameId: state.gameId,
+            playerId1: state.playerId1,
+            playerId2: state.playerId2,
+            timer,
+            chess,
+            variant: state.variant || "standard",
+            initialFen: state.initialFen || null,
+            startTime: state.startTime,
+            allowTakebacks: state.allowTakebacks !== false,
+            isPrivate: state.isPrivate === true,
+            timerHistory: state.timerHistory || [],
+            spectators: new Set(),
+            disconnectedPlayers: new Map(),
+            awaitingPlayers: new Set([state.playerId1, state.playerId2]),
+          };
+          activeGame.restoreGraceTimeout = setTimeout(() => {
+            activeGame.awaitingPlayers.clear();
+            resumeTimerIfReady(activeGame);
+          }, RESTORE_GRACE_SECONDS * 1000);
+
+          activeGames.set(state.gameId, activeGame);
+          console.log(
+            `Restored game ${state.gameId} after ${state.moves.length} moves`
+          );
+        } catch (error) {
+          console.error(`Error restoring game ${row.game_id}:`, error);
+        }
+      });
+    }
+  );
+}
+
+// NEW: Abandonment countdown for a player who lost their last connection mid-game
+function startAbandonmentCountdown(activeGame, client) {
+  if (activeGame.disconnectedPlayers.has(client.userId)) return;
+
+  const deadline = Date.now() + ABANDON_GRACE_SECONDS * 1000;
+  const countdown = {
+    username: client.username,
+    deadline,
+    claimable: false,
+    graceTimeout: setTimeout(() => {
+      countdown.claimable = true;
+      io.to(activeGame.gameId).emit("abandonment_claimable", {
+        gameId: activeGame.gameId,
+        player: client.username,
+      });
+    }, ABANDON_GRACE_SECONDS * 1000),
+  };
+  activeGame.disconnectedPlayers.set(client.userId, countdown);
+
+  if (DISCONNECT_CLOCK_POLICY === "pause" && activeGame.timer) {
+    activeGame.timer.pause();
+  }
+
+  io.to(activeGame.gameId).emit("opponent_disconnected", {
+    gameId: activeGame.gameId,
+    player: client.username,
+    gracePeriodSeconds: ABANDON_GRACE_SECONDS,
+    deadline,
+    clockPolicy: DISCONNECT_CLOCK_POLICY,
+  });
+  console.log(
+    `${client.username} disconnected from game ${activeGame.gameId}, abandonment in ${ABANDON_GRACE_SECONDS}s`
+  );
+}
+
+function cancelAbandonmentCountdown(activeGame, userId) {
+  const countdown = activeGame.disconnectedPlayers.get(userId);
+  if (!countdown) return;
+
+  clearTimeout(countdown.graceTimeout);
+  activeGame.disconnectedPlayers.delete(userId);
+  io.to(activeGame.gameId).emit("abandonment_cancelled", {
+    gameId: activeGame.gameId,
+    player: countdown.username,
+  });
+}
+
+// Restart a paused clock once nobody is being waited for
+function resumeTimerIfReady(activeGame) {
+  if (!activeGame.timer) return;
+  if (activeGame.awaitingPlayers && activeGame.awaitingPlayers.size > 0) return;
+  if (
+    DISCONNECT_CLOCK_POLICY === "pause" &&
+    activeGame.disconnectedPlayers.size > 0
+  ) {
+    return;
+  }
+  activeGame.timer.resume();
+}
+
+// NEW: Session management - signed tokens let clients resume without resending passwords
+function issueSessionToken(user) {
+  const sessionId = uuidv4();
+  const tokenVersion = user.token_version || 0;
+  sessionTokenVersions.set(user.id, tokenVersion);
+
+  return {
+    token: createSessionToken(
+      { uid: user.id, sid: sessionId, ver: tokenVersion },
+      SESSION_SECRET,
+      SESSION_TTL_SECONDS
+    ),
+    sessionId,
+    expiresAt: Date.now() + SESSION_TTL_SECONDS * 1000,
+  };
+}
+
+// Verify a session token. Only the signature, the revocation list and the cached
+// token version are checked, so the database is hit at most once per user.
+async function resolveSessionToken(token) {
+  const payload = verifySessionToken(token, SESSION_SECRET);
+  if (!payload || revokedSessions.has(payload.sid)) return null;
+
+  if (!sessionTokenVersions.has(payload.uid)) {
+    const user = await getUserById(payload.uid, db);
+    if (!user) return null;
+    sessionTokenVersions.set(user.id, user.token_version || 0);
+  }
+
+  if (sessionTokenVersions.get(payload.uid) !== payload.ver) return null;
+  return payload;
+}
+
+// Revoke a single session (logout). Mirrored to Redis so it survives restarts.
+async function revokeSession(sessionId, expiresAtSeconds) {
+  revokedSessions.set(sessionId, expiresAtSeconds);
+
+  const ttl = expiresAtSeconds - Math.floor(Date.now() / 1000);
+  if (ttl <= 0) return;
+  try {
+    await redis.set(`session:revoked:${sessionId}`, expiresAtSeconds, "EX", ttl);
+  } catch (redisError) {
+    console.error("Redis error storing revoked session:", redisError);
+  }
+}
+
+// Revoke every session of a user (password change) by bumping their token version
+async function revokeUserSessions(userId) {
+  await new Promise((resolve, reject) => {
+    db.run(
+      "UPDATE users SET token_version = token_version + 1 WHERE id = ?",
+      [userId],
+      (err) => {
+        if (err) reject(err);
+        else resolve();
+      }
+    );
+  });
+  sessionTokenVersions.delete(userId); // Reloaded from the database on next check
+  console.log(`All sessions revoked for user ${userId}`);
+}
+
+async function loadRevokedSessions() {
+  try {
+    const keys = await redis.keys("session:revoked:*");
+    if (keys.length === 0) return;
+
+    const expiries = await redis.mget(keys);
+    keys.forEach((key, index) => {
+      revokedSessions.set(
+        key.slice("session:revoked:".length),
+        parseInt(expiries[index]) || 0
+      );
+    });
+    console.log(`Loaded ${keys.length} revoked sessions from Redis`);
+  } catch (redisError) {
+    console.error("Redis error loading revoked sessions:", redisError);
+  }
+}
+
+function getBearerToken(authorizationHeader) {
+  if (typeof authorizationHeader !== "string") return null;
+  const [scheme, token] = authorizationHeader.split(" ");
+  return scheme === "Bearer" && token ? token : null;
+}
+
+// Register an authenticated socket in connectedClients
+function establishClientSession(socket, user, session) {
+  const wasOnline = !!findClientByUserId(user.id);
+  connectedClients.set(socket.id, {
+    userId: user.id,
+    username: user.username,
+    elo: user.elo,
+    socket: socket,
+    connectedAt: Date.now(),
+    transport: socket.conn.transport.name,
+    sessionId: session.sessionId,
+    sessionExpiresAt: session.expiresAt,
+  });
+
+  // NEW: Friends hear about the user's first socket coming online
+  if (!wasOnline) notifyFriends(user.id, user.username, "online");
+}
+
+// Restore a user's identity on this socket from a session token
+async function resumeSession(socket, token) {
+  try {
+    const payload = await resolveSessionToken(token);
+    const user = payload ? await getUserById(payload.uid, db) : null;
+    if (!user) {
+      socket.emit("resume_failure", { reason: "Invalid or expired session" });
+      return false;
+    }
+
+    establishClientSession(socket, user, {
+      sessionId: payload.sid,
+      expiresAt: payload.exp * 1000,
+    });
 
-  socket.conn.on("upgradeError", (error) => {
-    const client = connectedClients.get(socket.id);
-    const username = client ? client.username : "unknown";
     console.log(
-      `Transport upgrade error for ${username} (${socket.id}): ${error.message}`
+      `Session resumed: ${user.username} (ELO: ${user.elo}) via ${socket.conn.transport.name}`
+    );
+
+    socket.emit("resume_success", {
+      userId: user.id,
+      username: user.username,
+      elo: user.elo,
+      gamesPlayed: user.games_played,
+      gamesWon: user.games_won,
+      gamesDrawn: user.games_drawn,
+      sessionExpiresAt: payload.exp * 1000,
+      transport: socket.conn.transport.name,
+    });
+    return true;
+  } catch (error) {
+    console.error("Session resume error:", error);
+    socket.emit("resume_failure", { reason: "Server error during resume" });
+    return false;
+  }
+}
+
+// NEW: Account management, shared by the socket events and the /account endpoints.
+// Each returns { error, status } on failure.
+const DELETED_USERNAME_PREFIX = "deleted_user_";
+
+function validateNewUsername(username) {
+  if (typeof username !== "string" || username.length < 3) {
+    return "Username must be at least 3 characters";
+  }
+  if (username.startsWith(DELETED_USERNAME_PREFIX)) {
+    return "This username is reserved";
+  }
+  return null;
+}
+
+async function verifyUserPassword(userId, password) {
+  const user = await getUserById(userId, db);
+  if (!user || user.deleted_at) return null;
+  if (typeof password !== "string" || !password) return null;
+  return (await bcrypt.compare(password, user.password_hash)) ? user : null;
+}
+
+// Log out every other socket of a user after their credentials changed
+function disconnectOtherSockets(userId, keepSocketId, reason) {
+  getUserClients(userId).forEach((client) => {
+    if (client.socket.id === keepSocketId) return;
+    client.socket.emit("session_revoked", { reason });
+    client.socket.disconnect(true);
+  });
+}
+
+async function changePassword(userId, oldPassword, newPassword) {
+  if (typeof newPassword !== "string" || newPassword.length < 4) {
+    return { error: "Password must be at least 4 characters", status: 400 };
+  }
+
+  const user = await verifyUserPassword(userId, oldPassword);
+  if (!user) {
+    return { error: "Current password is incorrect", status: 403 };
+  }
+
+  const passwordHash = await bcrypt.hash(newPassword, 12);
+  await new Promise((resolve, reject) => {
+    db.run(
+      "UPDATE users SET password_hash = ? WHERE id = ?",
+      [passwordHash, userId],
+      (err) => {
+        if (err) reject(err);
+        else resolve();
+      }
     );
   });
 
-  // Monitor transport close events
-  socket.conn.on("close", (reason) => {
-    const client = connectedClients.get(socket.id);
-    const username = client ? client.username : "unknown";
-    console.log(`Transport closed for ${username} (${socket.id}): ${reason}`);
+  // Every existing token stops working; the caller gets a fresh one
+  await revokeUserSessions(userId);
+  const session = issueSessionToken(await getUserById(userId, db));
+  console.log(`Password changed for ${user.username}`);
+  return { user, session };
+}
+
+async function changeUsername(userId, newUsername) {
+  const validationError = validateNewUsername(newUsername);
+  if (validationError) return { error: validationError, status: 400 };
+
+  const user = await getUserById(userId, db);
+  if (!user || user.deleted_at) return { error: "User not found", status: 404 };
+  if (user.username === newUsername) {
+    return { error: "That is already your username", status: 400 };
+  }
+
+  if (user.username_changed_at) {
+    // SQLite CURRENT_TIMESTAMP is UTC in "YYYY-MM-DD HH:MM:SS" form
+    const changedAt = Date.parse(user.username_changed_at.replace(" ", "T") + "Z");
+    const nextChangeAt =
+      changedAt + USERNAME_CHANGE_COOLDOWN_DAYS * 24 * 60 * 60 * 1000;
+    if (nextChangeAt > Date.now()) {
+      return {
+        error: `You can change your username again on ${new Date(nextChangeAt).toISOString().slice(0, 10)}`,
+        status: 429,
+        nextChangeAt,
+      };
+    }
+  }
+
+  try {
+    await new Promise((resolve, reject) => {
+      db.run(
+        "UPDATE users SET username = ?, username_changed_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [newUsername, userId],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+  } catch (error) {
+    if (/UNIQUE/i.test(error.message)) {
+      return { error: "Username already exists", status: 409 };
+    }
+    throw error;
+  }
+
+  getUserClients(userId).forEach((client) => {
+    client.username = newUsername;
+  });
+  console.log(`Username changed: ${user.username} -> ${newUsername}`);
+  return { oldUsername: user.username, username: newUsername };
+}
+
+// Deleting keeps the users row so finished games stay readable, but replaces the
+// username, drops the credentials and removes the player from leaderboards
+async function deleteAccount(userId, password) {
+  const user = await verifyUserPassword(userId, password);
+  if (!user) return { error: "Password is incorrect", status: 403 };
+  if (isUserInActiveGame(userId)) {
+    return { error: "Finish or resign your current game first", status: 409 };
+  }
+
+  // All or nothing, queued as one batch so nothing else on the shared connection
+  // runs inside the transaction. exec stops at the first failing statement and the
+  // ROLLBACK queued right behind it undoes the rest (after a COMMIT it is a no-op).
+  // Every value is derived from the numeric user id, so it is safe to inline.
+  const id = Number(userId);
+  const deletedUsername = `${DELETED_USERNAME_PREFIX}${id}`;
+  await new Promise((resolve, reject) => {
+    db.serialize(() => {
+      db.exec(
+        `BEGIN TRANSACTION;
+         UPDATE users SET username = '${deletedUsername}', password_hash = '',
+           deleted_at = CURRENT_TIMESTAMP WHERE id = ${id};
+         DELETE FROM user_ratings WHERE user_id = ${id};
+         DELETE FROM friendships WHERE requester_id = ${id} OR addressee_id = ${id};
+         DELETE FROM user_blocks WHERE user_id = ${id} OR target_id = ${id};
+         UPDATE tournament_players SET withdrawn = 1 WHERE user_id = ${id};
+         UPDATE game_chat SET username = '${deletedUsername}' WHERE user_id = ${id};
+         DELETE FROM rating_history WHERE user_id = ${id};
+         COMMIT;`,
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+      db.run("ROLLBACK", () => {});
+    });
+  });
+
+  userBlocks.delete(userId);
+  userBlocks.forEach((lists) => {
+    lists.blocked.delete(userId);
+    lists.muted.delete(userId);
+  });
+
+  await revokeUserSessions(userId);
+  console.log(`Account deleted: ${user.username} (ID: ${userId})`);
+  return { username: user.username };
+}
+
+// NEW: Friends. Presence updates ("online", "offline", "game_started",
+// "game_finished") are pushed to a user's online friends as friend_status.
+function findActiveGameForUser(userId) {
+  return Array.from(activeGames.values()).find(
+    (g) => g.playerId1 === userId || g.playerId2 === userId
+  );
+}
+
+function getFriendPresence(userId) {
+  const game = findActiveGameForUser(userId);
+  return {
+    isOnline: !!findClientByUserId(userId),
+    currentGame: game
+      ? {
+          gameId: game.gameId,
+          color: game.playerId1 === userId ? "white" : "black",
+          isPrivate: game.isPrivate,
+        }
+      : null,
+  };
+}
+
+function getFriendships(userId) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT f.requester_id, f.addressee_id, f.status, f.created_at, f.accepted_at,
+              u.id AS other_id, u.username, u.elo
+       FROM friendships f
+       JOIN users u ON u.id = CASE WHEN f.requester_id = ? THEN f.addressee_id ELSE f.requester_id END
+       WHERE f.requester_id = ? OR f.addressee_id = ?
+       ORDER BY u.username COLLATE NOCASE`,
+      [userId, userId, userId],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      }
+    );
+  });
+}
+
+async function getFriendIds(userId) {
+  const rows = await getFriendships(userId);
+  return rows.filter((r) => r.status === "accepted").map((r) => r.other_id);
+}
+
+async function buildFriendsList(userId) {
+  const rows = await getFriendships(userId);
+  const entry = (row) => ({
+    userId: row.other_id,
+    username: row.username,
+    elo: row.elo,
+  });
+
+  return {
+    friends: rows
+      .filter((r) => r.status === "accepted")
+      .map((r) => ({
+        ...entry(r),
+        ...getFriendPresence(r.other_id),
+        friendsSince: r.accepted_at,
+      })),
+    incomingRequests: rows
+      .filter((r) => r.status === "pending" && r.addressee_id === userId)
+      .map((r) => ({ ...entry(r), sentAt: r.created_at })),
+    outgoingRequests: rows
+      .filter((r) => r.status === "pending" && r.requester_id === userId)
+      .map((r) => ({ ...entry(r), sentAt: r.created_at })),
+  };
+}
+
+async function notifyFriends(userId, username, status) {
+  try {
+    const friendIds = await getFriendIds(userId);
+    if (friendIds.length === 0) return;
+
+    const payload = {
+      userId,
+      username: username || (await getUserById(userId, db))?.username,
+      status,
+      ...getFriendPresence(userId),
+    };
+    friendIds.forEach((friendId) =>
+      emitToUser(friendId, "friend_status", payload)
+    );
+  } catch (error) {
+    console.error("Error notifying friends:", error);
+  }
+}
+
+function getFriendship(userId, otherId) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT * FROM friendships
+       WHERE (requester_id = ? AND addressee_id = ?) OR (requester_id = ? AND addressee_id = ?)`,
+      [userId, otherId, otherId, userId],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      }
+    );
+  });
+}
+
+// db.all / db.get as promises
+function selectRows(sql, params) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows || []);
+    });
+  });
+}
+
+function selectRow(sql, params) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) reject(err);
+      else resolve(row || null);
+    });
+  });
+}
+
+// db.run as a promise resolving to the number of changed rows
+function runStatement(sql, params) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) reject(err);
+      else resolve(this.changes);
+    });
+  });
+}
+
+// Accepting must not take either side past MAX_FRIENDS; returns an error message or null
+async function checkFriendLimit(userId, otherId) {
+  for (const id of [userId, otherId]) {
+    const { count } = await selectRow(
+      "SELECT COUNT(*) AS count FROM friendships WHERE status = 'accepted' AND (requester_id = ? OR addressee_id = ?)",
+      [id, id]
+    );
+    if (count >= MAX_FRIENDS) {
+      return id === userId
+        ? `You can have at most ${MAX_FRIENDS} friends`
+        : `That player already has ${MAX_FRIENDS} friends`;
+    }
+  }
+  return null;
+}
+
+async function acceptFriendship(requesterId, addresseeId) {
+  return runStatement(
+    "UPDATE friendships SET status = 'accepted', accepted_at = CURRENT_TIMESTAMP WHERE requester_id = ? AND addressee_id = ? AND status = 'pending'",
+    [requesterId, addresseeId]
+  );
+}
+
+// Tell both sides about a new friendship, with each other's presence
+async function announceFriendship(first, second) {
+  emitToUser(first.id, "friend_added", {
+    userId: second.id,
+    username: second.username,
+    elo: second.elo,
+    ...getFriendPresence(second.id),
+  });
+  emitToUser(second.id, "friend_added", {
+    userId: first.id,
+    username: first.username,
+    elo: first.elo,
+    ...getFriendPresence(first.id),
+  });
+}
+
+// Returns { error } on failure, otherwise { status: "sent" | "accepted" }
+async function sendFriendRequest(client, username) {
+  if (typeof username !== "string" || !username) {
+    return { error: "Username required" };
+  }
+
+  const target = await new Promise((resolve, reject) => {
+    db.get(
+      "SELECT id, username, elo FROM users WHERE username = ? AND deleted_at IS NULL",
+      [username],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      }
+    );
+  });
+  if (!target) return { error: "Player not found" };
+  if (target.id === client.userId) {
+    return { error: "You cannot add yourself as a friend" };
+  }
+  if (isBlockedBetween(client.userId, target.id)) {
+    return { error: "You cannot send a friend request to this player" };
+  }
+
+  const existing = await getFriendship(client.userId, target.id);
+  if (existing?.status === "accepted") {
+    return { error: "You are already friends" };
+  }
+  if (existing?.requester_id === client.userId) {
+    return { error: "Friend request already sent" };
+  }
+
+  // A request in the other direction is already pending - treat this as accepting it
+  if (existing) {
+    const limitError = await checkFriendLimit(client.userId, target.id);
+    if (limitError) return { error: limitError };
+
+    await acceptFriendship(target.id, client.userId);
+    announceFriendship(
+      { id: client.userId, username: client.username, elo: client.elo },
+      target
+    );
+    console.log(`${client.username} and ${target.username} are now friends`);
+    return { status: "accepted", target };
+  }
+
+  const count = (await getFriendships(client.userId)).length;
+  if (count >= MAX_FRIENDS) {
+    return {
+      error: `You can have at most ${MAX_FRIENDS} friends and requests`,
+    };
+  }
+
+  await runStatement(
+    "INSERT INTO friendships (requester_id, addressee_id) VALUES (?, ?)",
+    [client.userId, target.id]
+  );
+  emitToUser(target.id, "friend_request_received", {
+    userId: client.userId,
+    username: client.username,
+    elo: client.elo,
+  });
+  console.log(`${client.username} sent a friend request to ${target.username}`);
+  return { status: "sent", target };
+}
+
+// NEW: Block and mute lists. A mute hides the target's chat; a block also hides
+// their chat and keeps the two players from being paired, challenging each other
+// or becoming friends.
+function getBlockLists(userId) {
+  if (!userBlocks.has(userId)) {
+    userBlocks.set(userId, { blocked: new Set(), muted: new Set() });
+  }
+  return userBlocks.get(userId);
+}
+
+function isBlockedBetween(userId, otherId) {
+  return (
+    !!userBlocks.get(userId)?.blocked.has(otherId) ||
+    !!userBlocks.get(otherId)?.blocked.has(userId)
+  );
+}
+
+function hasMuted(userId, otherId) {
+  const lists = userBlocks.get(userId);
+  return !!lists && (lists.muted.has(otherId) || lists.blocked.has(otherId));
+}
+
+function loadUserBlocks() {
+  db.all("SELECT user_id, target_id, kind FROM user_blocks", (err, rows) => {
+    if (err) {
+      console.error("Error loading block lists:", err);
+      return;
+    }
+    rows.forEach((row) => {
+      const lists = getBlockLists(row.user_id);
+      (row.kind === "block" ? lists.blocked : lists.muted).add(row.target_id);
+    });
+    if (rows.length > 0) console.log(`Loaded ${rows.length} blocks and mutes`);
+  });
+}
+
+async function buildBlockList(userId) {
+  const rows = await new Promise((resolve, reject) => {
+    db.all(
+      `SELECT b.kind, u.id, u.username
+       FROM user_blocks b
+       JOIN users u ON u.id = b.target_id
+       WHERE b.user_id = ?
+       ORDER BY u.username COLLATE NOCASE`,
+      [userId],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      }
+    );
+  });
+  const entries = (kind) =>
+    rows
+      .filter((r) => r.kind === kind)
+      .map((r) => ({ userId: r.id, username: r.username }));
+  return { blocked: entries("block"), muted: entries("mute") };
+}
+
+// Add or remove a block or mute. Returns { error } on failure.
+async function setUserBlock(client, username, kind, enabled) {
+  const target = await new Promise((resolve, reject) => {
+    db.get(
+      "SELECT id, username FROM users WHERE username = ?",
+      [username],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      }
+    );
+  });
+  if (!target) return { error: "Player not found" };
+  if (target.id === client.userId) {
+    return { error: `You cannot ${kind} yourself` };
+  }
+
+  const lists = getBlockLists(client.userId);
+  const set = kind === "block" ? lists.blocked : lists.muted;
+  if (enabled) {
+    await runStatement(
+      "INSERT OR IGNORE INTO user_blocks (user_id, target_id, kind) VALUES (?, ?, ?)",
+      [client.userId, target.id, kind]
+    );
+    set.add(target.id);
+  } else {
+    await runStatement(
+      "DELETE FROM user_blocks WHERE user_id = ? AND target_id = ? AND kind = ?",
+      [client.userId, target.id, kind]
+    );
+    set.delete(target.id);
+  }
+
+  if (enabled && kind === "block") {
+    // Blocking ends any friendship and open challenges between the two
+    const removed = await runStatement(
+      `DELETE FROM friendships
+       WHERE (requester_id = ? AND addressee_id = ?) OR (requester_id = ? AND addressee_id = ?)`,
+      [client.userId, target.id, target.id, client.userId]
+    );
+    if (removed) {
+      emitToUser(client.userId, "friend_removed", { userId: target.id });
+      emitToUser(target.id, "friend_removed", {
+        userId: client.userId,
+        username: client.username,
+      });
+    }
+
+    Array.from(pendingChallenges.values())
+      .filter(
+        (c) =>
+          (c.challengerId === client.userId && c.targetId === target.id) ||
+          (c.challengerId === target.id && c.targetId === client.userId)
+      )
+      .forEach((challenge) => {
+        removeChallenge(challenge.challengeId);
+        const cancelled = { challengeId: challenge.challengeId };
+        emitToUser(challenge.challengerId, "challenge_cancelled", cancelled);
+        emitToUser(challenge.targetId, "challenge_cancelled", cancelled);
+      });
+  }
+
+  console.log(
+    `${client.username} ${enabled ? "added" : "removed"} ${kind} on ${target.username}`
+  );
+  return { target };
+}
+
+// NEW: Trim, length-limit and filter a chat message. flag is "filtered",
+// "rejected" or null; rejected messages must not be delivered.
+function moderateChatMessage(message) {
+  const original = message.trim().substring(0, CHAT_MAX_LENGTH); // Limit message length
+  const moderated = filterChatMessage(original, {
+    bannedWords: CHAT_FILTER_WORDS,
+    blockLinks: CHAT_BLOCK_LINKS,
+  });
+  return {
+    original,
+    message: moderated.rejected ? original : moderated.message,
+    rejected: moderated.rejected || null,
+    flag: moderated.rejected
+      ? "rejected"
+      : moderated.filtered
+      ? "filtered"
+      : null,
+  };
+}
+
+// Emit a chat event to a socket.io room, skipping recipients who muted or blocked the sender
+function emitChatToRoom(room, senderId, event, payload) {
+  (io.sockets.adapter.rooms.get(room) || new Set()).forEach((socketId) => {
+    const recipient = connectedClients.get(socketId);
+    if (recipient && hasMuted(recipient.userId, senderId)) return;
+    io.to(socketId).emit(event, payload);
+  });
+}
+
+// NEW: Game chat history
+function saveGameChat(client, chatData, originalMessage, flag) {
+  db.run(
+    "INSERT INTO game_chat (game_id, user_id, username, message, original_message, flag, sent_at) VALUES (?, ?, ?, ?, ?, ?, ?)",
+    [
+      chatData.gameId,
+      client.userId,
+      client.username,
+      chatData.message,
+      originalMessage,
+      flag,
+      chatData.timestamp,
+    ],
+    (err) => {
+      if (err) console.error("Error saving chat message:", err);
+    }
+  );
+}
+
+// Most recent delivered messages of a game, oldest first, without the ones the
+// viewer has muted
+function getGameChat(gameId, viewerId) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT user_id, username, message, sent_at FROM game_chat
+       WHERE game_id = ? AND (flag IS NULL OR flag != 'rejected')
+       ORDER BY id DESC LIMIT ?`,
+      [gameId, CHAT_HISTORY_LIMIT],
+      (err, rows) => {
+        if (err) return reject(err);
+        resolve(
+          (rows || [])
+            .reverse()
+            .filter((row) => !hasMuted(viewerId, row.user_id))
+            .map((row) => ({
+              gameId,
+              username: row.username,
+              message: row.message,
+              timestamp: row.sent_at,
+            }))
+        );
+      }
+    );
+  });
+}
+
+// NEW: Chat channels, backed by socket.io rooms named "channel:<name>"
+function channelRoom(name) {
+  return `channel:${name}`;
+}
+
+function normalizeChannelName(name) {
+  if (typeof name !== "string") return null;
+  const normalized = name.trim().toLowerCase();
+  return CHANNEL_NAME_PATTERN.test(normalized) ? normalized : null;
+}
+
+// Distinct users in a channel (a user may have joined from several sockets)
+function getChannelMembers(channel) {
+  const members = new Map();
+  channel.members.forEach((socketId) => {
+    const client = connectedClients.get(socketId);
+    if (client && !members.has(client.userId)) {
+      members.set(client.userId, {
+        userId: client.userId,
+        username: client.username,
+      });
+    }
+  });
+  return Array.from(members.values());
+}
+
+function isUserInChannel(channel, userId) {
+  return Array.from(channel.members).some(
+    (socketId) => connectedClients.get(socketId)?.userId === userId
+  );
+}
+
+function joinChannel(socket, client, name) {
+  let channel = chatChannels.get(name);
+  if (!channel) {
+    channel = { name, members: new Set(), backlog: [] };
+    chatChannels.set(name, channel);
+  }
+
+  const wasMember = isUserInChannel(channel, client.userId);
+  channel.members.add(socket.id);
+  socket.join(channelRoom(name));
+
+  if (!wasMember) {
+    socket.to(channelRoom(name)).emit("channel_member_joined", {
+      channel: name,
+      userId: client.userId,
+      username: client.username,
+    });
+  }
+
+  return channel;
+}
+
+function leaveChannel(socket, client, name) {
+  const channel = chatChannels.get(name);
+  if (!channel || !channel.members.delete(socket.id)) return false;
+  socket.leave(channelRoom(name));
+
+  if (!isUserInChannel(channel, client.userId)) {
+    io.to(channelRoom(name)).emit("channel_member_left", {
+      channel: name,
+      userId: client.userId,
+      username: client.username,
+    });
+  }
+  if (channel.members.size === 0 && name !== LOBBY_CHANNEL) {
+    chatChannels.delete(name);
+  }
+  return true;
+}
+
+function leaveAllChannels(socket, client) {
+  chatChannels.forEach((channel, name) => {
+    if (channel.members.has(socket.id)) leaveChannel(socket, client, name);
+  });
+}
+
+// Cleanup function for disconnected clients
+function cleanupClient(socketId, username) {
+  try {
+    const client = connectedClients.get(socketId);
+
+    // NEW: Leave chat channels while the username is still known
+    if (client) leaveAllChannels(client.socket, client);
+
+    // Remove from connected clients
+    connectedClients.delete(socketId);
+    connectionHeartbeats.delete(socketId);
+
+    // NEW: Pending challenges lapse once the user has no connected socket left
+    if (client && !findClientByUserId(client.userId)) {
+      cancelChallengesForUser(client.userId);
+      notifyFriends(client.userId, client.username, "offline");
+
+      // NEW: Give the player a grace period to come back to games they were playing,
+      // however the connection ended (disconnect, heartbeat timeout or logout)
+      activeGames.forEach((activeGame) => {
+        if (getPlayerGame(client, activeGame.gameId)) {
+          startAbandonmentCountdown(activeGame, client);
+        }
+      });
+    }
+
+    // NEW: Queue entries belong to the socket that joined the queue
+    if (client && matchmakingQueue.get(client.userId)?.socketId === socketId) {
+      removeFromQueue(client.userId, "disconnected");
+    }
+
+    // Remove from waiting games
+    const gameIndex = waitingGames.findIndex(
+      (g) => client && g.creatorId === client.userId
+    );
+
+    if (gameIndex !== -1) {
+      const game = waitingGames[gameIndex];
+      waitingGames.splice(gameIndex, 1);
+      db.run("DELETE FROM games WHERE id = ? AND status = ?", [
+        game.gameId,
+        "waiting",
+      ]);
+      console.log(`Cleaned up waiting game for ${username}`);
+    }
+  } catch (error) {
+    console.error("Error during client cleanup:", error);
+  }
+}
+
+// NEW: Rate limiting - spend a token for an event from the socket's and the IP's
+// buckets. Returns 0 if allowed, otherwise the milliseconds until the client may retry.
+function checkRateLimit(socketId, ip, event) {
+  const budget = EVENT_RATE_LIMITS[event] || EVENT_RATE_LIMITS.default;
+  const ipBudget = {
+    capacity: budget.capacity * RATE_LIMIT_IP_MULTIPLIER,
+    refillPerSecond: budget.refillPerSecond * RATE_LIMIT_IP_MULTIPLIER,
+  };
+
+  if (!socketRateBuckets.has(socketId)) socketRateBuckets.set(socketId, new Map());
+  if (!ipRateBuckets.has(ip)) ipRateBuckets.set(ip, new Map());
+
+  const socketRetry = takeToken(socketRateBuckets.get(socketId), event, budget);
+  if (socketRetry > 0) return socketRetry;
+  return takeToken(ipRateBuckets.get(ip), event, ipBudget);
+}
+
+function emitRateLimited(socket, event, retryAfterMs, reason) {
+  socket.emit("rate_limited", {
+    event,
+    reason: reason || "Too many requests",
+    retryAfterMs,
+    retryAt: Date.now() + retryAfterMs,
+  });
+}
+
+// NEW: Login lockout - milliseconds left on the longest lockout of the given keys
+function getLoginLockout(keys) {
+  const now = Date.now();
+  return keys.reduce((longest, key) => {
+    const entry = loginFailures.get(key);
+    return entry ? Math.max(longest, entry.lockedUntil - now) : longest;
+  }, 0);
+}
+
+function recordLoginFailure(key, threshold) {
+  const entry = loginFailures.get(key) || { failures: 0, lockedUntil: 0 };
+  entry.failures++;
+  entry.lastFailureAt = Date.now();
+  if (entry.failures >= threshold) {
+    const lockoutSeconds = Math.min(
+      LOGIN_LOCKOUT_MAX_SECONDS,
+      LOGIN_LOCKOUT_BASE_SECONDS * Math.pow(2, entry.failures - threshold)
+    );
+    entry.lockedUntil = Date.now() + lockoutSeconds * 1000;
+  }
+  loginFailures.set(key, entry);
+}
+
+// Connection monitoring
+setInterval(() => {
+  const now = Date.now();
+  const staleConnections = [];
+
+  connectionHeartbeats.forEach((lastSeen, socketId) => {
+    if (now - lastSeen > 180000) {
+      // 3 minutes
+      staleConnections.push(socketId);
+    }
+  });
+
+  staleConnections.forEach((socketId) => {
+    const client = connectedClients.get(socketId);
+    if (client) {
+      console.log(`Cleaning up stale connection: ${client.username}`);
+      cleanupClient(socketId, client.username);
+    }
+  });
+
+  // Forget revoked sessions whose tokens have expired anyway
+  const nowSeconds = Math.floor(now / 1000);
+  revokedSessions.forEach((expiresAt, sessionId) => {
+    if (expiresAt <= nowSeconds) revokedSessions.delete(sessionId);
+  });
+
+  // Forget idle IP and HTTP user rate limit buckets and login failures from over an hour ago
+  [ipRateBuckets, socketRateBuckets].forEach((bucketsByKey) => {
+    bucketsByKey.forEach((buckets, key) => {
+      if (bucketsByKey === socketRateBuckets && !key.startsWith("user:")) return;
+      const lastUsed = Math.max(
+        ...Array.from(buckets.values()).map((b) => b.updatedAt)
+      );
+      if (now - lastUsed > 10 * 60 * 1000) bucketsByKey.delete(key);
+    });
+  });
+  loginFailures.forEach((entry, key) => {
+    if (entry.lockedUntil < now && now - entry.lastFailureAt > 60 * 60 * 1000) {
+      loginFailures.delete(key);
+    }
+  });
+}, 60000); // Check every minute
+
+// NEW: Matchmaking queue - allowed rating gap for an entry, widening with time waited
+function getQueueRatingWindow(entry, now = Date.now()) {
+  const waitedSeconds = (now - entry.joinedAt) / 1000;
+  return Math.min(
+    QUEUE_MAX_RATING_GAP,
+    QUEUE_INITIAL_RATING_GAP + waitedSeconds * QUEUE_RATING_GAP_GROWTH
+  );
+}
+
+// Queued players can only be paired when they asked for the same clock and variant
+function isQueueCompatible(a, b) {
+  return (
+    a.timeControl === b.timeControl &&
+    a.incrementSeconds === b.incrementSeconds &&
+    a.delaySeconds === b.delaySeconds &&
+    a.variant === b.variant &&
+    !isBlockedBetween(a.userId, b.userId)
+  );
+}
+
+function buildQueueStatus(entry, now = Date.now()) {
+  const sameQueue = Array.from(matchmakingQueue.values())
+    .filter((e) => isQueueCompatible(e, entry))
+    .sort((a, b) => a.joinedAt - b.joinedAt);
+  const waitSeconds = Math.floor((now - entry.joinedAt) / 1000);
+
+  // ETA from the average wait of recent pairings in the same pool
+  const waits = recentQueueWaits.get(entry.ratingPool) || [];
+  const averageWait = waits.length
+    ? waits.reduce((sum, w) => sum + w, 0) / waits.length
+    : null;
+
+  return {
+    position: sameQueue.indexOf(entry) + 1,
+    queueSize: sameQueue.length,
+    timeControl: entry.timeControl,
+    incrementSeconds: entry.incrementSeconds,
+    delaySeconds: entry.delaySeconds,
+    ratingPool: entry.ratingPool,
+    rating: entry.rating,
+    ratingWindow: Math.round(getQueueRatingWindow(entry, now)),
+    waitSeconds,
+    estimatedWaitSeconds:
+      averageWait === null
+        ? null
+        : Math.max(0, Math.round(averageWait - waitSeconds)),
+  };
+}
+
+function recordQueueWait(ratingPool, waitSeconds) {
+  const waits = recentQueueWaits.get(ratingPool) || [];
+  waits.push(waitSeconds);
+  if (waits.length > 20) waits.shift();
+  recentQueueWaits.set(ratingPool, waits);
+}
+
+function removeFromQueue(userId, reason) {
+  if (!matchmakingQueue.has(userId)) return false;
+  matchmakingQueue.delete(userId);
+  if (reason) emitToUser(userId, "queue_left", { reason });
+  return true;
+}
+
+// Create the game for two players taken out of the queue. Both are reserved until
+// the game row exists so nothing else can start a game for them in the meantime.
+async function startQueuedGame(first, second) {
+  const gameId = uuidv4();
+  pairingReservations.add(first.userId);
+  pairingReservations.add(second.userId);
+
+  const { white, black } = await assignColors(first, second, db);
+  const options = {
+    timeControl: first.timeControl,
+    incrementSeconds: first.incrementSeconds,
+    delaySeconds: first.delaySeconds,
+    allowTakebacks: first.allowTakebacks && second.allowTakebacks,
+    variant: first.variant,
+    initialFen: first.initialFen, // Chess960: the first player's drawn position
+  };
+
+  db.run(
+    `INSERT INTO games (id, player_white_id, player_black_id, status, time_control_minutes,
+       takebacks_allowed, increment_seconds, delay_seconds, white_elo, black_elo, variant, initial_fen)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?,
+       (SELECT elo FROM users WHERE id = ?), (SELECT elo FROM users WHERE id = ?), ?, ?)`,
+    [
+      gameId,
+      white.userId,
+      black.userId,
+      "inprogress",
+      options.timeControl,
+      options.allowTakebacks ? 1 : 0,
+      options.incrementSeconds,
+      options.delaySeconds,
+      white.userId,
+      black.userId,
+      options.variant,
+      options.initialFen,
+    ],
+    (err) => {
+      pairingReservations.delete(white.userId);
+      pairingReservations.delete(black.userId);
+
+      const whiteClient = connectedClients.get(white.socketId);
+      const blackClient = connectedClients.get(black.socketId);
+
+      if (err || !whiteClient?.socket.connected || !blackClient?.socket.connected) {
+        if (err) console.error("Error creating queued game:", err);
+        else db.run("DELETE FROM games WHERE id = ?", [gameId]);
+
+        // Put whoever is still here back at their old place in the queue
+        [white, black].forEach((entry) => {
+          if (connectedClients.get(entry.socketId)?.socket.connected) {
+            matchmakingQueue.set(entry.userId, entry);
+          }
+        });
+        return;
+      }
+
+      const now = Date.now();
+      recordQueueWait(first.ratingPool, Math.round((now - first.joinedAt) / 1000));
+      recordQueueWait(second.ratingPool, Math.round((now - second.joinedAt) / 1000));
+
+      console.log(
+        `Queue paired ${whiteClient.username} (${white.rating}) vs ${blackClient.username} (${black.rating}) in ${first.ratingPool}`
+      );
+      startGame(gameId, whiteClient, blackClient, options);
+    }
+  );
+}
+
+// Periodic pairing pass: longest-waiting players first, each paired with the
+// closest-rated compatible player inside both players' rating windows
+function runQueuePairing() {
+  const now = Date.now();
+  const entries = Array.from(matchmakingQueue.values()).sort(
+    (a, b) => a.joinedAt - b.joinedAt
+  );
+  const paired = new Set();
+
+  entries.forEach((entry) => {
+    if (paired.has(entry.userId)) return;
+
+    let bestMatch = null;
+    let bestDistance = Infinity;
+    entries.forEach((other) => {
+      if (other.userId === entry.userId || paired.has(other.userId)) return;
+      if (!isQueueCompatible(entry, other)) return;
+
+      const distance = Math.abs(entry.rating - other.rating);
+      const allowedGap = Math.min(
+        getQueueRatingWindow(entry, now),
+        getQueueRatingWindow(other, now)
+      );
+      if (distance <= allowedGap && distance < bestDistance) {
+        bestMatch = other;
+        bestDistance = distance;
+      }
+    });
+
+    if (bestMatch) {
+      paired.add(entry.userId);
+      paired.add(bestMatch.userId);
+      matchmakingQueue.delete(entry.userId);
+      matchmakingQueue.delete(bestMatch.userId);
+      startQueuedGame(entry, bestMatch);
+    }
+  });
+
+  // Position and ETA updates for everyone still waiting
+  matchmakingQueue.forEach((entry) => {
+    const client = connectedClients.get(entry.socketId);
+    if (client) client.socket.emit("queue_status", buildQueueStatus(entry, now));
+  });
+}
+
+// NEW: Tournaments - "swiss" (fixed rounds) and "arena" (fixed duration, players are
+// re-paired as soon as they finish a game). Everything lives in SQLite; pairings are
+// made from the stored results, games are ordinary rated games tagged with
+// games.tournament_id, and removeActiveGame reports their results back through
+// recordTournamentResult.
+function tournamentRoom(tournamentId) {
+  return `tournament:${tournamentId}`;
+}
+
+function parseTournamentOptions(data) {
+  const name = typeof data?.name === "string" ? data.name.trim() : "";
+  if (name.length < 3 || name.length > 50) {
+    return { error: "Tournament name must be 3-50 characters" };
+  }
+
+  const type = data?.type === "arena" ? "arena" : "swiss";
+  const rounds = type === "swiss" ? parseInt(data?.rounds) : null;
+  if (type === "swiss" && !(rounds >= 1 && rounds <= TOURNAMENT_MAX_ROUNDS)) {
+    return { error: `Rounds must be between 1 and ${TOURNAMENT_MAX_ROUNDS}` };
+  }
+
+  const durationMinutes = type === "arena" ? parseInt(data?.durationMinutes) : null;
+  if (
+    type === "arena" &&
+    !(
+      durationMinutes >= ARENA_MIN_DURATION_MINUTES &&
+      durationMinutes <= ARENA_MAX_DURATION_MINUTES
+    )
+  ) {
+    return {
+      error: `Arena duration must be between ${ARENA_MIN_DURATION_MINUTES} and ${ARENA_MAX_DURATION_MINUTES} minutes`,
+    };
+  }
+
+  const timeControl = parseInt(data?.timeControl);
+  if (!(timeControl >= 1 && timeControl <= 180)) {
+    return { error: "Time control must be between 1 and 180 minutes" };
+  }
+
+  // Tournament games are always standard chess
+  const options = parseGameOptions({ ...data, timeControl, variant: "standard" });
+  if (options.error) return options;
+  return { name, type, rounds, durationMinutes, ...options };
+}
+
+async function loadTournament(tournamentId) {
+  const tournament = await selectRow("SELECT * FROM tournaments WHERE id = ?", [
+    tournamentId,
+  ]);
+  if (!tournament) return null;
+
+  const pool = getRatingPool(
+    tournament.time_control_minutes,
+    tournament.increment_seconds + tournament.delay_seconds
+  );
+  const players = await selectRows(
+    `SELECT tp.user_id, tp.withdrawn, u.username, COALESCE(r.elo, u.elo) AS rating
+     FROM tournament_players tp
+     JOIN users u ON u.id = tp.user_id
+     LEFT JOIN user_ratings r ON r.user_id = tp.user_id AND r.pool = ?
+     WHERE tp.tournament_id = ?
+     ORDER BY tp.joined_at`,
+    [pool, tournamentId]
+  );
+  const pairings = await selectRows(
+    "SELECT * FROM tournament_pairings WHERE tournament_id = ? ORDER BY round, id",
+    [tournamentId]
+  );
+
+  const buildStandings =
+    tournament.type === "arena" ? buildArenaStandings : buildTournamentStandings;
+  const standings = buildStandings(
+    players.map((p) => ({
+      userId: p.user_id,
+      username: p.username,
+      rating: p.rating,
+      withdrawn: !!p.withdrawn,
+    })),
+    pairings.map((p) => ({
+      whiteId: p.white_id,
+      blackId: p.black_id,
+      result: p.result,
+      whiteBerserk: !!p.white_berserk,
+      blackBerserk: !!p.black_berserk,
+    }))
+  );
+  return { tournament, pool, players, pairings, standings };
+}
+
+function serializeTournament({ tournament, pool, pairings, standings }) {
+  const usernames = new Map(standings.map((s) => [s.userId, s.username]));
+  const player = (userId) =>
+    userId ? { userId, username: usernames.get(userId) || "Unknown" } : null;
+
+  const summary = {
+    tournamentId: tournament.id,
+    name: tournament.name,
+    type: tournament.type,
+    status: tournament.status,
+    createdBy: tournament.created_by,
+    timeControl: tournament.time_control_minutes,
+    incrementSeconds: tournament.increment_seconds,
+    delaySeconds: tournament.delay_seconds,
+    ratingPool: pool,
+    createdAt: tournament.created_at,
+    startedAt: tournament.started_at,
+    finishedAt: tournament.finished_at,
+  };
+  const standing = (s, index) => ({
+    rank: index + 1,
+    userId: s.userId,
+    username: s.username,
+    rating: s.rating,
+    score: s.score,
+    wins: s.wins,
+    draws: s.draws,
+    losses: s.losses,
+    withdrawn: s.withdrawn,
+  });
+
+  if (tournament.type === "arena") {
+    return {
+      ...summary,
+      durationMinutes: tournament.duration_minutes,
+      endsAt: tournament.ends_at,
+      standings: standings.map((s, index) => ({
+        ...standing(s, index),
+        games: s.games,
+        sheet: s.sheet,
+        onFire: s.onFire,
+        berserks: s.berserks,
+        playing: s.playing,
+      })),
+      recentGames: pairings
+        .slice(-50)
+        .reverse()
+        .map((p) => ({
+          white: player(p.white_id),
+          black: player(p.black_id),
+          gameId: p.game_id,
+          result: p.result,
+          whiteBerserk: !!p.white_berserk,
+          blackBerserk: !!p.black_berserk,
+        })),
+    };
+  }
+
+  const rounds = [];
+  pairings.forEach((p) => {
+    if (!rounds[p.round - 1]) {
+      rounds[p.round - 1] = { round: p.round, pairings: [] };
+    }
+    rounds[p.round - 1].pairings.push({
+      white: player(p.white_id),
+      black: player(p.black_id),
+      gameId: p.game_id,
+      result: p.result,
+    });
+  });
+
+  return {
+    ...summary,
+    totalRounds: tournament.rounds,
+    currentRound: tournament.current_round,
+    standings: standings.map((s, index) => ({
+      ...standing(s, index),
+      buchholz: s.buchholz,
+      sonnebornBerger: s.sonnebornBerger,
+    })),
+    rounds: rounds.filter(Boolean),
+  };
+}
+
+async function broadcastTournament(tournamentId) {
+  const state = await loadTournament(tournamentId);
+  if (state) {
+    io.to(tournamentRoom(tournamentId)).emit(
+      "tournament_update",
+      serializeTournament(state)
+    );
+  }
+  return state;
+}
+
+async function listTournaments(status) {
+  const rows = await selectRows(
+    `SELECT t.*, COUNT(tp.user_id) AS player_count
+     FROM tournaments t
+     LEFT JOIN tournament_players tp ON tp.tournament_id = t.id AND tp.withdrawn = 0
+     WHERE (? IS NULL OR t.status = ?)
+     GROUP BY t.id
+     ORDER BY t.created_at DESC
+     LIMIT 50`,
+    [status || null, status || null]
+  );
+  return rows.map((t) => ({
+    tournamentId: t.id,
+    name: t.name,
+    type: t.type,
+    status: t.status,
+    timeControl: t.time_control_minutes,
+    incrementSeconds: t.increment_seconds,
+    delaySeconds: t.delay_seconds,
+    totalRounds: t.rounds,
+    currentRound: t.current_round,
+    durationMinutes: t.duration_minutes,
+    endsAt: t.ends_at,
+    playerCount: t.player_count,
+    createdAt: t.created_at,
+  }));
+}
+
+// Create, join, leave and start return { error, status } on failure
+async function createTournament(userId, data) {
+  const options = parseTournamentOptions(data);
+  if (options.error) return { error: options.error, status: 400 };
+
+  const tournamentId = uuidv4();
+  await runStatement(
+    `INSERT INTO tournaments (id, name, type, created_by, time_control_minutes,
+       increment_seconds, delay_seconds, rounds, duration_minutes)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      tournamentId,
+      options.name,
+      options.type,
+      userId,
+      options.timeControl,
+      options.incrementSeconds,
+      options.delaySeconds,
+      options.rounds,
+      options.durationMinutes,
+    ]
+  );
+  console.log(
+    `Tournament created: ${options.name} (${options.type}, ${tournamentId})`
+  );
+  return { tournament: serializeTournament(await loadTournament(tournamentId)) };
+}
+
+async function joinTournament(userId, tournamentId) {
+  const tournament = await selectRow("SELECT * FROM tournaments WHERE id = ?", [
+    tournamentId,
+  ]);
+  if (!tournament) return { error: "Tournament not found", status: 404 };
+  // Arenas can be joined until they end; rejoining clears a withdrawal
+  const canJoin =
+    tournament.status === "registering" ||
+    (tournament.type === "arena" && tournament.status === "running");
+  if (!canJoin) {
+    return { error: "Registration is closed", status: 409 };
+  }
+
+  await runStatement(
+    `INSERT INTO tournament_players (tournament_id, user_id) VALUES (?, ?)
+     ON CONFLICT (tournament_id, user_id) DO UPDATE SET withdrawn = 0`,
+    [tournamentId, userId]
+  );
+  return { state: await broadcastTournament(tournamentId) };
+}
+
+// Before the start this unregisters; once running the player is withdrawn and
+// not paired again (a game in progress is still played out)
+async function leaveTournament(userId, tournamentId) {
+  const tournament = await selectRow("SELECT * FROM tournaments WHERE id = ?", [
+    tournamentId,
+  ]);
+  if (!tournament) return { error: "Tournament not found", status: 404 };
+  if (tournament.status === "finished") {
+    return { error: "Tournament has finished", status: 409 };
+  }
+
+  const changes = await runStatement(
+    tournament.status === "registering"
+      ? "DELETE FROM tournament_players WHERE tournament_id = ? AND user_id = ?"
+      : "UPDATE tournament_players SET withdrawn = 1 WHERE tournament_id = ? AND user_id = ? AND withdrawn = 0",
+    [tournamentId, userId]
+  );
+  if (!changes) {
+    return { error: "You are not playing in this tournament", status: 409 };
+  }
+
+  // A withdrawal may leave too few players for another round
+  if (tournament.status === "running") {
+    await checkTournamentProgress(tournamentId);
+  } else {
+    await broadcastTournament(tournamentId);
+  }
+  return {};
+}
+
+async function startTournament(userId, tournamentId) {
+  const state = await loadTournament(tournamentId);
+  if (!state) return { error: "Tournament not found", status: 404 };
+  if (state.tournament.created_by !== userId) {
+    return { error: "Only the organiser can start the tournament", status: 403 };
+  }
+  if (state.tournament.status !== "registering") {
+    return { error: "Tournament has already started", status: 409 };
+  }
+  if (state.players.length < 2) {
+    return { error: "At least 2 players are needed", status: 409 };
+  }
+
+  const endsAt =
+    state.tournament.type === "arena"
+      ? Date.now() + state.tournament.duration_minutes * 60 * 1000
+      : null;
+  // Only one of two simultaneous start requests gets to move it out of registration
+  const changes = await runStatement(
+    "UPDATE tournaments SET status = 'running', started_at = CURRENT_TIMESTAMP, ends_at = ? WHERE id = ? AND status = 'registering'",
+    [endsAt, tournamentId]
+  );
+  if (changes !== 1) {
+    return { error: "Tournament has already started", status: 409 };
+  }
+  console.log(
+    `Tournament ${state.tournament.name} started with ${state.players.length} players`
+  );
+  if (state.tournament.type === "arena") {
+    await pairArena(tournamentId);
+  } else {
+    await startTournamentRound(tournamentId);
+  }
+  return {};
+}
+
+// Start a tournament game and record its pairing (round 0 for arenas). The pairing row
+// is written before the game starts so a quick result always finds it. Returns the
+// game id, or null if either player is offline or busy.
+async function startTournamentGame(tournament, round, whiteId, blackId) {
+  const whiteClient = findClientByUserId(whiteId);
+  const blackClient = findClientByUserId(blackId);
+  if (
+    !whiteClient ||
+    !blackClient ||
+    isUserInActiveGame(whiteId) ||
+    isUserInActiveGame(blackId)
+  ) {
+    return null;
+  }
+
+  const gameId = uuidv4();
+  const options = {
+    timeControl: tournament.time_control_minutes,
+    incrementSeconds: tournament.increment_seconds,
+    delaySeconds: tournament.delay_seconds,
+    allowTakebacks: false,
+  };
+  pairingReservations.add(whiteId);
+  pairingReservations.add(blackId);
+  try {
+    await runStatement(
+      `INSERT INTO games (id, player_white_id, player_black_id, status, time_control_minutes,
+         takebacks_allowed, increment_seconds, delay_seconds, white_elo, black_elo, tournament_id)
+       VALUES (?, ?, ?, ?, ?, 0, ?, ?,
+         (SELECT elo FROM users WHERE id = ?), (SELECT elo FROM users WHERE id = ?), ?)`,
+      [
+        gameId,
+        whiteId,
+        blackId,
+        "inprogress",
+        options.timeControl,
+        options.incrementSeconds,
+        options.delaySeconds,
+        whiteId,
+        blackId,
+        tournament.id,
+      ]
+    );
+    await runStatement(
+      "INSERT INTO tournament_pairings (tournament_id, round, white_id, black_id, game_id) VALUES (?, ?, ?, ?, ?)",
+      [tournament.id, round, whiteId, blackId, gameId]
+    );
+  } finally {
+    pairingReservations.delete(whiteId);
+    pairingReservations.delete(blackId);
+  }
+
+  if (!whiteClient.socket.connected || !blackClient.socket.connected) {
+    db.run("DELETE FROM tournament_pairings WHERE game_id = ?", [gameId]);
+    db.run("DELETE FROM games WHERE id = ?", [gameId]);
+    return null;
+  }
+  startGame(gameId, whiteClient, blackClient, options);
+  return gameId;
+}
+
+async function startTournamentRound(tournamentId) {
+  // The round counts as pending until it is fully paired, so results arriving
+  // meanwhile do not schedule another one
+  tournamentRoundTimers.set(tournamentId, null);
+  try {
+    const state = await loadTournament(tournamentId);
+    if (!state || state.tournament.status !== "running") return;
+
+    const { tournament } = state;
+    const active = state.standings.filter((s) => !s.withdrawn);
+    if (tournament.current_round >= tournament.rounds || active.length < 2) {
+      await finishTournament(tournamentId);
+      return;
+    }
+
+    const round = tournament.current_round + 1;
+    const { pairings, byeId } = pairSwissRound(active, isBlockedBetween);
+    await runStatement("UPDATE tournaments SET current_round = ? WHERE id = ?", [
+      round,
+      tournamentId,
+    ]);
+
+    if (byeId) {
+      await runStatement(
+        "INSERT INTO tournament_pairings (tournament_id, round, white_id, result) VALUES (?, ?, ?, 'bye')",
+        [tournamentId, round, byeId]
+      );
+      emitToUser(byeId, "tournament_bye", { tournamentId, round });
+    }
+
+    for (const pairing of pairings) {
+      const gameId = await startTournamentGame(
+        tournament,
+        round,
+        pairing.whiteId,
+        pairing.blackId
+      );
+
+      // Players who are offline or busy elsewhere lose the game by forfeit
+      const isPresent = (userId) =>
+        !!findClientByUserId(userId) && !isUserInActiveGame(userId);
+      let result = null;
+      if (!gameId) {
+        result = isPresent(pairing.whiteId)
+          ? "+-"
+          : isPresent(pairing.blackId)
+          ? "-+"
+          : "--";
+        await runStatement(
+          "INSERT INTO tournament_pairings (tournament_id, round, white_id, black_id, result) VALUES (?, ?, ?, ?, ?)",
+          [tournamentId, round, pairing.whiteId, pairing.blackId, result]
+        );
+      }
+
+      [
+        [pairing.whiteId, pairing.blackId, "white"],
+        [pairing.blackId, pairing.whiteId, "black"],
+      ].forEach(([userId, opponentId, color]) => {
+        emitToUser(userId, "tournament_pairing", {
+          tournamentId,
+          round,
+          gameId,
+          color,
+          opponent: state.standings.find((s) => s.userId === opponentId)?.username,
+          result,
+        });
+      });
+    }
+
+    console.log(
+      `Tournament ${tournament.name}: round ${round} paired (${pairings.length} games${byeId ? ", 1 bye" : ""})`
+    );
+    io.to(tournamentRoom(tournamentId)).emit("tournament_round_started", {
+      tournamentId,
+      round,
+    });
+  } finally {
+    tournamentRoundTimers.delete(tournamentId);
+  }
+  await checkTournamentProgress(tournamentId);
+}
+
+// Called after every result: a Swiss tournament whose round is complete schedules
+// the next round or finishes; an arena past its end finishes once its last game does.
+// Checks run one at a time per tournament - results finishing together queue a
+// single re-check instead of both scheduling the next round.
+async function checkTournamentProgress(tournamentId) {
+  if (tournamentProgressChecks.has(tournamentId)) {
+    tournamentProgressChecks.set(tournamentId, true);
+    return;
+  }
+  tournamentProgressChecks.set(tournamentId, false);
+  try {
+    await updateTournamentProgress(tournamentId);
+  } finally {
+    const recheck = tournamentProgressChecks.get(tournamentId);
+    tournamentProgressChecks.delete(tournamentId);
+    if (recheck) await checkTournamentProgress(tournamentId);
+  }
+}
+
+async function updateTournamentProgress(tournamentId) {
+  const state = await broadcastTournament(tournamentId);
+  if (!state || state.tournament.status !== "running") return;
+
+  if (state.tournament.type === "arena") {
+    const playing = state.pairings.some((p) => !p.result);
+    if (Date.now() >= state.tournament.ends_at && !playing) {
+      await finishTournament(tournamentId);
+    }
+    return;
+  }
+  if (tournamentRoundTimers.has(tournamentId)) return;
+
+  const { tournament, pairings } = state;
+  const pending = pairings.some(
+    (p) => p.round === tournament.current_round && !p.result
+  );
+  if (pending) return;
+
+  const active = state.standings.filter((s) => !s.withdrawn);
+  if (tournament.current_round >= tournament.rounds || active.length < 2) {
+    await finishTournament(tournamentId);
+    return;
+  }
+
+  io.to(tournamentRoom(tournamentId)).emit("tournament_round_finished", {
+    tournamentId,
+    round: tournament.current_round,
+    nextRoundAt: Date.now() + TOURNAMENT_ROUND_DELAY_SECONDS * 1000,
+  });
+  tournamentRoundTimers.set(
+    tournamentId,
+    setTimeout(() => {
+      startTournamentRound(tournamentId).catch((error) => {
+        console.error("Error starting tournament round:", error);
+      });
+    }, TOURNAMENT_ROUND_DELAY_SECONDS * 1000)
+  );
+}
+
+// NEW: Arena pairing. Players who are online and not in a game are paired with the
+// nearest player in the standings, avoiding an immediate rematch when possible.
+let arenaPairingInProgress = false;
+
+async function runArenaPairing() {
+  if (arenaPairingInProgress) return;
+  arenaPairingInProgress = true;
+  try {
+    const arenas = await selectRows(
+      "SELECT id FROM tournaments WHERE type = 'arena' AND status = 'running'",
+      []
+    );
+    for (const { id } of arenas) await pairArena(id);
+  } catch (error) {
+    console.error("Arena pairing error:", error);
+  } finally {
+    arenaPairingInProgress = false;
+  }
+}
+
+async function pairArena(tournamentId) {
+  const state = await loadTournament(tournamentId);
+  if (!state || state.tournament.status !== "running") return;
+  const { tournament } = state;
+
+  if (Date.now() >= tournament.ends_at) {
+    await checkTournamentProgress(tournamentId);
+    return;
+  }
+
+  const waiting = state.standings.filter(
+    (s) =>
+      !s.withdrawn &&
+      !s.playing &&
+      findClientByUserId(s.userId) &&
+      !isUserInActiveGame(s.userId)
+  );
+
+  let paired = 0;
+  while (waiting.length >= 2) {
+    const player = waiting.shift();
+    const candidates = waiting.filter(
+      (c) => !isBlockedBetween(player.userId, c.userId)
+    );
+    const opponent =
+      candidates.find((c) => c.userId !== player.lastOpponentId) ||
+      candidates[0];
+    if (!opponent) continue;
+    waiting.splice(waiting.indexOf(opponent), 1);
+
+    // Fewer whites so far gets white
+    const [white, black] =
+      player.whites < opponent.whites ||
+      (player.whites === opponent.whites && Math.random() < 0.5)
+        ? [player, opponent]
+        : [opponent, player];
+    const gameId = await startTournamentGame(tournament, 0, white.userId, black.userId);
+    if (!gameId) continue;
+
+    emitToUser(white.userId, "tournament_pairing", {
+      tournamentId,
+      gameId,
+      color: "white",
+      opponent: black.username,
+    });
+    emitToUser(black.userId, "tournament_pairing", {
+      tournamentId,
+      gameId,
+      color: "black",
+      opponent: white.username,
+    });
+    paired++;
+  }
+
+  if (paired > 0) {
+    console.log(`Arena ${tournament.name}: paired ${paired} new game(s)`);
+    await broadcastTournament(tournamentId);
+  }
+}
+
+// NEW: Berserk - before their first move an arena player may halve their clock
+// (and give up increment or delay) for an extra point if they win
+async function berserkArenaGame(client, gameId) {
+  const activeGame = getPlayerGame(client, gameId);
+  if (!activeGame) return { error: "Game not found" };
+
+  const pairing = await selectRow(
+    `SELECT p.*, t.type, t.status FROM tournament_pairings p
+     JOIN tournaments t ON t.id = p.tournament_id
+     WHERE p.game_id = ?`,
+    [gameId]
+  );
+  if (pairing?.type !== "arena" || pairing.status !== "running") {
+    return { error: "Berserk is only available in arena games" };
+  }
+
+  const isWhite = activeGame.playerId1 === client.userId;
+  const movesMade = activeGame.chess.history().length;
+  if (isWhite ? movesMade > 0 : movesMade > 1) {
+    return { error: "Berserk is only possible before your first move" };
+  }
+  const timer = activeGame.timer;
+  if (!timer || timer.berserkPlayers.has(isWhite ? 1 : 2)) {
+    return { error: "You already went berserk" };
+  }
+
+  timer.berserk(isWhite ? 1 : 2);
+  await runStatement(
+    `UPDATE tournament_pairings SET ${isWhite ? "white_berserk" : "black_berserk"} = 1 WHERE id = ?`,
+    [pairing.id]
+  );
+  io.to(gameAudience(gameId)).emit("player_berserk", {
+    gameId,
+    color: isWhite ? "white" : "black",
+    username: client.username,
+  });
+  console.log(`${client.username} went berserk in ${gameId}`);
+  return {};
+}
+
+async function finishTournament(tournamentId) {
+  await runStatement(
+    "UPDATE tournaments SET status = 'finished', finished_at = CURRENT_TIMESTAMP WHERE id = ?",
+    [tournamentId]
+  );
+  const state = await broadcastTournament(tournamentId);
+  const final = serializeTournament(state);
+
+  io.to(tournamentRoom(tournamentId)).emit("tournament_finished", final);
+  state.players.forEach((p) => {
+    emitToUser(p.user_id, "tournament_finished", final);
+  });
+  console.log(
+    `Tournament ${state.tournament.name} finished, winner: ${final.standings[0]?.username || "none"}`
+  );
+}
+
+// Called for every game that ends; only tournament games have anything to record
+async function recordTournamentResult(gameId) {
+  try {
+    const game = await selectRow(
+      "SELECT tournament_id, player_white_id, winner_id, status FROM games WHERE id = ?",
+      [gameId]
+    );
+    if (!game?.tournament_id || game.status !== "finished") return;
+
+    const result = !game.winner_id
+      ? "1/2-1/2"
+      : game.winner_id === game.player_white_id
+      ? "1-0"
+      : "0-1";
+    await runStatement(
+      "UPDATE tournament_pairings SET result = ? WHERE game_id = ? AND result IS NULL",
+      [result, gameId]
+    );
+    await checkTournamentProgress(game.tournament_id);
+    runArenaPairing(); // Arena players are re-paired as soon as they are free
+  } catch (error) {
+    console.error("Error recording tournament result:", error);
+  }
+}
+
+// Pick up running tournaments after a restart (a finished round schedules the next)
+async function resumeTournaments() {
+  try {
+    const running = await selectRows(
+      "SELECT id FROM tournaments WHERE status = 'running'",
+      []
+    );
+    for (const { id } of running) await checkTournamentProgress(id);
+  } catch (error) {
+    console.error("Error resuming tournaments:", error);
+  }
+}
+
+setInterval(runQueuePairing, QUEUE_PAIRING_INTERVAL_MS);
+setInterval(runArenaPairing, QUEUE_PAIRING_INTERVAL_MS);
+
+loadRevokedSessions();
+
+// Enhanced connection handling
+io.on("connection", (socket) => {
+  const clientIP =
+    socket.handshake.headers["x-forwarded-for"] || socket.handshake.address;
+  console.log(`Client connected: ${socket.id} from ${clientIP}`);
+
+  // Initialize heartbeat tracking
+  connectionHeartbeats.set(socket.id, Date.now());
+
+  // NEW: Rate limiting - events over budget are dropped and answered with rate_limited
+  socket.use(([event], next) => {
+    const retryAfterMs = checkRateLimit(socket.id, clientIP, event);
+    if (retryAfterMs > 0) {
+      emitRateLimited(socket, event, retryAfterMs);
+      return;
+    }
+    next();
+  });
+
+  // Send immediate connection confirmation with enhanced info
+  socket.emit("connection_confirmed", {
+    socketId: socket.id,
+    timestamp: Date.now(),
+    server: "RimChess Server v1.2-Enhanced",
+    transport: socket.conn.transport.name,
+  });
+
+  // NEW: Restore identity from a session token sent with the handshake
+  // (socket.io auth payload or an "Authorization: Bearer" header)
+  const handshakeToken =
+    socket.handshake.auth?.sessionToken ||
+    getBearerToken(socket.handshake.headers.authorization);
+  if (handshakeToken) {
+    resumeSession(socket, handshakeToken);
+  }
+
+  // Enhanced heartbeat handling
+  socket.on("ping", () => {
+    connectionHeartbeats.set(socket.id, Date.now());
+    socket.emit("pong", { timestamp: Date.now() });
+  });
+
+  // Custom heartbeat event
+  socket.on("heartbeat", () => {
+    connectionHeartbeats.set(socket.id, Date.now());
+    socket.emit("heartbeat_ack", { timestamp: Date.now() });
+  });
+
+  // Transport upgrade handling with better logging
+  socket.conn.on("upgrade", () => {
+    const client = connectedClients.get(socket.id);
+    const username = client ? client.username : "unknown";
+    console.log(
+      `Transport upgraded to ${socket.conn.transport.name} for ${username} (${socket.id})`
+    );
+
+    // Update client transport info
+    if (client) {
+      client.transport = socket.conn.transport.name;
+    }
+  });
+
+  socket.conn.on("upgradeError", (error) => {
+    const client = connectedClients.get(socket.id);
+    const username = client ? client.username : "unknown";
+    console.log(
+      `Transport upgrade error for ${username} (${socket.id}): ${error.message}`
+    );
+  });
+
+  // Monitor transport close events
+  socket.conn.on("close", (reason) => {
+    const client = connectedClients.get(socket.id);
+    const username = client ? client.username : "unknown";
+    console.log(`Transport closed for ${username} (${socket.id}): ${reason}`);
+  });
+
+  // Monitor transport errors
+  socket.conn.on("error", (error) => {
+    const client = connectedClients.get(socket.id);
+    const username = client ? client.username : "unknown";
+    console.log(
+      `Transport error for ${username} (${socket.id}): ${error.message}`
+    );
+  });
+
+  // Enhanced register handler with better error handling
+  socket.on("register", async (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      console.log(`Registration attempt: ${data?.username}`);
+      const { username, password } = data;
+
+      if (!username || !password) {
+        socket.emit("registration_failure", {
+          reason: "Username and password required",
+        });
+        return;
+      }
+
+      if (username.length < 3 || password.length < 4) {
+        socket.emit("registration_failure", {
+          reason: "Username must be at least 3 characters, password at least 4",
+        });
+        return;
+      }
+
+      // NEW: Names of deleted accounts are reserved
+      if (validateNewUsername(username)) {
+        socket.emit("registration_failure", {
+          reason: validateNewUsername(username),
+        });
+        return;
+      }
+
+      const passwordHash = await bcrypt.hash(password, 12);
+
+      db.run(
+        "INSERT INTO users (username, password_hash) VALUES (?, ?)",
+        [username, passwordHash],
+        function (err) {
+          if (err) {
+            console.log(`Registration failed for ${username}: ${err.message}`);
+            socket.emit("registration_failure", {
+              reason: "Username already exists",
+            });
+          } else {
+            console.log(
+              `User registered successfully: ${username} (ID: ${this.lastID})`
+            );
+            socket.emit("registration_success", {
+              userId: this.lastID,
+              username: username,
+            });
+          }
+        }
+      );
+    } catch (error) {
+      console.error("Registration error:", error);
+      socket.emit("registration_failure", {
+        reason: "Server error during registration",
+      });
+    }
+  });
+
+  // Enhanced login handler
+  socket.on("login", async (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      console.log(`Login attempt: ${data?.username}`);
+      const { username, password } = data;
+
+      if (!username || !password) {
+        socket.emit("login_failure", {
+          reason: "Username and password required",
+        });
+        return;
+      }
+
+      // NEW: Refuse logins while the username or IP is locked out
+      const userKey = `user:${username}`;
+      const ipKey = `ip:${clientIP}`;
+      const lockedForMs = getLoginLockout([userKey, ipKey]);
+      if (lockedForMs > 0) {
+        console.log(`Login locked out: ${username} from ${clientIP}`);
+        emitRateLimited(socket, "login", lockedForMs, "Too many failed login attempts");
+        socket.emit("login_failure", {
+          reason: `Too many failed login attempts, try again in ${Math.ceil(lockedForMs / 1000)}s`,
+        });
+        return;
+      }
+      const recordFailure = () => {
+        recordLoginFailure(userKey, LOGIN_LOCKOUT_THRESHOLD);
+        recordLoginFailure(ipKey, LOGIN_LOCKOUT_THRESHOLD * RATE_LIMIT_IP_MULTIPLIER);
+      };
+
+      db.get(
+        "SELECT * FROM users WHERE username = ?",
+        [username],
+        async (err, user) => {
+          if (err) {
+            console.error("Database error during login:", err);
+            socket.emit("login_failure", { reason: "Server error" });
+            return;
+          }
+
+          if (!user || user.deleted_at) {
+            console.log(`Login failed - user not found: ${username}`);
+            recordFailure();
+            socket.emit("login_failure", {
+              reason: "Invalid username or password",
+            });
+            return;
+          }
+
+          try {
+            const isValid = await bcrypt.compare(password, user.password_hash);
+            if (!isValid) {
+              console.log(`Login failed - invalid password: ${username}`);
+              recordFailure();
+              socket.emit("login_failure", {
+                reason: "Invalid username or password",
+              });
+              return;
+            }
+
+            // Update last login
+            db.run(
+              "UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?",
+              [user.id]
+            );
+            loginFailures.delete(userKey);
+
+            // Store client info with enhanced data
+            const session = issueSessionToken(user);
+            establishClientSession(socket, user, session);
+
+            console.log(
+              `User logged in successfully: ${username} (ELO: ${user.elo}) via ${socket.conn.transport.name}`
+            );
+
+            socket.emit("login_success", {
+              userId: user.id,
+              username: user.username,
+              elo: user.elo,
+              gamesPlayed: user.games_played,
+              gamesWon: user.games_won,
+              gamesDrawn: user.games_drawn,
+              sessionToken: session.token,
+              sessionExpiresAt: session.expiresAt,
+              transport: socket.conn.transport.name,
+            });
+          } catch (bcryptError) {
+            console.error("Bcrypt error:", bcryptError);
+            socket.emit("login_failure", { reason: "Authentication error" });
+          }
+        }
+      );
+    } catch (error) {
+      console.error("Login error:", error);
+      socket.emit("login_failure", { reason: "Server error during login" });
+    }
+  });
+
+  // NEW: Resume a previous login on this socket using its session token
+  socket.on("resume_session", async (data) => {
+    connectionHeartbeats.set(socket.id, Date.now());
+    if (!data?.sessionToken) {
+      socket.emit("resume_failure", { reason: "Session token required" });
+      return;
+    }
+    await resumeSession(socket, data.sessionToken);
+  });
+
+  // NEW: Logout revokes the current session token (or all of them)
+  socket.on("logout", async (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const client = connectedClients.get(socket.id);
+      if (!client) return;
+
+      if (data?.allSessions) {
+        await revokeUserSessions(client.userId);
+      } else {
+        await revokeSession(
+          client.sessionId,
+          Math.floor(client.sessionExpiresAt / 1000)
+        );
+      }
+
+      cleanupClient(socket.id, client.username);
+      socket.emit("logout_success");
+      console.log(`User logged out: ${client.username}`);
+    } catch (error) {
+      console.error("Logout error:", error);
+      socket.emit("error", { message: "Server error during logout" });
+    }
+  });
+
+  // NEW: Account management
+  socket.on("change_password", async (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const client = connectedClients.get(socket.id);
+      if (!client) {
+        socket.emit("password_change_failure", { reason: "Not authenticated" });
+        return;
+      }
+
+      const result = await changePassword(
+        client.userId,
+        data?.oldPassword,
+        data?.newPassword
+      );
+      if (result.error) {
+        socket.emit("password_change_failure", { reason: result.error });
+        return;
+      }
+
+      client.sessionId = result.session.sessionId;
+      client.sessionExpiresAt = result.session.expiresAt;
+      disconnectOtherSockets(client.userId, socket.id, "password_changed");
+      socket.emit("password_change_success", {
+        sessionToken: result.session.token,
+        sessionExpiresAt: result.session.expiresAt,
+      });
+    } catch (error) {
+      console.error("Change password error:", error);
+      socket.emit("password_change_failure", {
+        reason: "Server error changing password",
+      });
+    }
+  });
+
+  socket.on("change_username", async (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const client = connectedClients.get(socket.id);
+      if (!client) {
+        socket.emit("username_change_failure", { reason: "Not authenticated" });
+        return;
+      }
+
+      const result = await changeUsername(client.userId, data?.username);
+      if (result.error) {
+        socket.emit("username_change_failure", {
+          reason: result.error,
+          nextChangeAt: result.nextChangeAt || null,
+        });
+        return;
+      }
+
+      socket.emit("username_change_success", {
+        oldUsername: result.oldUsername,
+        username: result.username,
+      });
+    } catch (error) {
+      console.error("Change username error:", error);
+      socket.emit("username_change_failure", {
+        reason: "Server error changing username",
+      });
+    }
+  });
+
+  socket.on("delete_account", async (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const client = connectedClients.get(socket.id);
+      if (!client) {
+        socket.emit("account_deletion_failure", { reason: "Not authenticated" });
+        return;
+      }
+
+      const result = await deleteAccount(client.userId, data?.password);
+      if (result.error) {
+        socket.emit("account_deletion_failure", { reason: result.error });
+        return;
+      }
+
+      socket.emit("account_deleted", { username: result.username });
+      disconnectOtherSockets(client.userId, socket.id, "account_deleted");
+      cleanupClient(socket.id, client.username);
+    } catch (error) {
+      console.error("Delete account error:", error);
+      socket.emit("account_deletion_failure", {
+        reason: "Server error deleting account",
+      });
+    }
+  });
+
+  // NEW: Join the matchmaking queue; the server pairs players periodically
+  socket.on("join_queue", async (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const client = connectedClients.get(socket.id);
+      if (!client) {
+        socket.emit("error", { message: "User not authenticated" });
+        return;
+      }
+
+      if (isUserInActiveGame(client.userId)) {
+        socket.emit("queue_error", { reason: "You are already in a game" });
+        return;
+      }
+      if (waitingGames.some((g) => g.creatorId === client.userId)) {
+        socket.emit("queue_error", {
+          reason: "Cancel your open game before joining the queue",
+        });
+        return;
+      }
+
+      const options = parseGameOptions(data);
+      if (options.error) {
+        socket.emit("queue_error", { reason: options.error });
+        return;
+      }
+      if (options.variant === "fromPosition") {
+        socket.emit("queue_error", {
+          reason: "Games from a custom position cannot be queued",
+        });
+        return;
+      }
+
+      const ratingPool = getGameRatingPool(options);
+      const rating = (await getPoolRatings(client.userId, db))[ratingPool];
+
+      // Joining again replaces the previous preferences and restarts the wait
+      const entry = {
+        userId: client.userId,
+        socketId: socket.id,
+        ...options,
+        color: parseColorPreference(data),
+        ratingPool,
+        rating,
+        joinedAt: Date.now(),
+      };
+      matchmakingQueue.set(client.userId, entry);
+
+      console.log(
+        `${client.username} joined the ${ratingPool} queue (${options.timeControl}+${options.incrementSeconds}, rating ${rating})`
+      );
+      socket.emit("queue_joined", buildQueueStatus(entry));
+    } catch (error) {
+      console.error("Join queue error:", error);
+      socket.emit("queue_error", { reason: "Server error joining the queue" });
+    }
+  });
+
+  socket.on("leave_queue", () => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const client = connectedClients.get(socket.id);
+      if (!client) return;
+
+      if (removeFromQueue(client.userId, "cancelled")) {
+        console.log(`${client.username} left the matchmaking queue`);
+      }
+    } catch (error) {
+      console.error("Leave queue error:", error);
+    }
+  });
+
+  // Enhanced game creation
+  socket.on("create_game", async (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const client = connectedClients.get(socket.id);
+      if (!client) {
+        socket.emit("error", { message: "User not authenticated" });
+        return;
+      }
+
+      const gameId = uuidv4();
+      const options = parseGameOptions(data);
+      if (options.error) {
+        socket.emit("error", { message: options.error });
+        return;
+      }
+      const {
+        timeControl,
+        incrementSeconds,
+        delaySeconds,
+        allowTakebacks,
+        variant,
+        initialFen,
+      } = options;
+
+      // NEW: An open game replaces a place in the matchmaking queue
+      removeFromQueue(client.userId, "game_created");
+
+      // NEW: One open game per player - a new one replaces the previous
+      removeWaitingGames(client.userId);
+
+      // NEW: Colour preference - the creator is stored as white until an opponent joins
+      const color = parseColorPreference(data);
+
+      // NEW: Private games stay out of matchmaking and are joined by invite code
+      const isPrivate = data?.private === true;
+      const inviteCode = isPrivate ? createUniqueInviteCode() : null;
+
+      // NEW: Matchmaking compares ratings in the game's time-control pool
+      const ratingPool = getGameRatingPool(options);
+      const creatorRating = (await getPoolRatings(client.userId, db))[ratingPool];
+
+      console.log(`Creating game: ${gameId} by ${client.username}`);
+
+      db.run(
+        "INSERT INTO games (id, player_white_id, status, time_control_minutes, takebacks_allowed, increment_seconds, delay_seconds, is_private, variant, initial_fen) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+        [
+          gameId,
+          client.userId,
+          "waiting",
+          timeControl,
+          allowTakebacks ? 1 : 0,
+          incrementSeconds,
+          delaySeconds,
+          isPrivate ? 1 : 0,
+          variant,
+          initialFen,
+        ],
+        async function (err) {
+          if (err) {
+            console.error("Error creating game:", err);
+            socket.emit("error", { message: "Failed to create game" });
+            return;
+          }
+
+          waitingGames.push({
+            gameId,
+            creatorId: client.userId,
+            timeControl,
+            incrementSeconds,
+            delaySeconds,
+            allowTakebacks,
+            variant,
+            initialFen,
+            isPrivate,
+            inviteCode,
+            ratingPool,
+            creatorRating,
+            color,
+            createdAt: Date.now(),
+          });
+
+          // Initialize game state in Redis with retry
+          const chess = createGameChess(variant, initialFen);
+          try {
+            await redis.set(`game:${gameId}:fen`, chess.fen());
+            await redis.set(
+              `game:${gameId}:turn`,
+              chess.turn() === "w" ? "white" : "black"
+            );
+            await redis.set(`game:${gameId}:moves`, JSON.stringify([]));
+            await redis.set(`game:${gameId}:creator`, client.userId);
+          } catch (redisError) {
+            console.error("Redis error:", redisError);
+            // Continue without Redis for now
+          }
+
+          socket.emit("waiting_for_opponent", {
+            gameId,
+            timeControl,
+            incrementSeconds,
+            delaySeconds,
+            allowTakebacks,
+            variant,
+            initialFen: chess.fen(),
+            private: isPrivate,
+            inviteCode,
+            ratingPool,
+            position: color, // white, black or random until matched
+            created: Date.now(),
+          });
+
+          console.log(`Game created successfully: ${gameId}`);
+        }
+      );
+    } catch (error) {
+      console.error("Create game error:", error);
+      socket.emit("error", { message: "Server error during game creation" });
+    }
+  });
+
+  // Enhanced game search with ELO-based matchmaking
+  socket.on("search_for_game", async (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const client = connectedClients.get(socket.id);
+      if (!client) {
+        socket.emit("error", { message: "User not authenticated" });
+        return;
+      }
+
+      if (isUserInActiveGame(client.userId)) {
+        socket.emit("error", { message: "You are already in a game" });
+        return;
+      }
+
+      console.log(`${client.username} (ELO: ${client.elo}) searching for game`);
+
+      // NEW: Only open games of the requested variant (standard by default) match
+      const variant = GAME_VARIANTS.includes(data?.variant) ? data.variant : "standard";
+
+      // NEW: ELO-based matchmaking with range prioritization. Each waiting game is
+      // compared in its own time-control pool (creator's pool rating vs ours).
+      const poolRatings = await getPoolRatings(client.userId, db);
+      const ratingDistance = (g) =>
+        Math.abs((g.creatorRating || 1200) - poolRatings[g.ratingPool]);
+      const eloRanges = [
+        100, // ±100 ELO (preferred)
+        200, // ±200 ELO (acceptable)
+        400, // ±400 ELO (wider range)
+        Infinity, // Any opponent (fallback)
+      ];
+
+      let matchedGame = null;
+      let matchReason = "";
+
+      // Try each ELO range in order of preference
+      for (let i = 0; i < eloRanges.length; i++) {
+        const range = eloRanges[i];
+
+        // Find games where the creator's pool rating is within the current range
+        const potentialGames = waitingGames.filter((g) => {
+          if (g.creatorId === client.userId) return false; // Can't match with self
+          if (g.isPrivate) return false; // Invite-only
+          if (!findClientByUserId(g.creatorId)) return false; // Creator disconnected
+          if (isUserInActiveGame(g.creatorId)) return false; // Creator busy
+          if (isBlockedBetween(client.userId, g.creatorId)) return false; // NEW
+          if ((g.variant || "standard") !== variant) return false; // NEW
+
+          return ratingDistance(g) <= range;
+        });
+
+        if (potentialGames.length > 0) {
+          // Sort by rating proximity for best match
+          potentialGames.sort((a, b) => ratingDistance(a) - ratingDistance(b));
+
+          matchedGame = potentialGames[0];
+          const eloDiff = ratingDistance(matchedGame);
+
+          matchReason =
+            i === 0
+              ? `Perfect ${matchedGame.ratingPool} match (±${eloDiff})`
+              : i === 1
+              ? `Good ${matchedGame.ratingPool} match (±${eloDiff})`
+              : i === 2
+              ? `Acceptable ${matchedGame.ratingPool} match (±${eloDiff})`
+              : `Wide ${matchedGame.ratingPool} match (±${eloDiff})`;
+          break;
+        }
+      }
+
+      if (!matchedGame) {
+        socket.emit("no_games_found");
+        console.log(
+          `No suitable ELO-matched games found for ${client.username} (ELO: ${client.elo})`
+        );
+        return;
+      }
+
+      console.log(
+        `ELO-based match found for ${client.username}: ${matchReason}`
+      );
+      await joinWaitingGame(socket, client, matchedGame);
+    } catch (error) {
+      console.error("Search game error:", error);
+      socket.emit("error", { message: "Server error during game search" });
+    }
+  });
+
+  // NEW: Join a private game with the invite code its creator shared
+  socket.on("join_by_code", async (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const client = connectedClients.get(socket.id);
+      if (!client) {
+        socket.emit("error", { message: "User not authenticated" });
+        return;
+      }
+
+      if (isUserInActiveGame(client.userId)) {
+        socket.emit("join_by_code_failed", {
+          reason: "You are already in a game",
+        });
+        return;
+      }
+
+      const game = findGameByInviteCode(data?.code);
+      if (!game) {
+        socket.emit("join_by_code_failed", {
+          reason: "Invite code not found or expired",
+        });
+        return;
+      }
+
+      if (game.creatorId === client.userId) {
+        socket.emit("join_by_code_failed", {
+          reason: "You cannot join your own game",
+        });
+        return;
+      }
+
+      if (isBlockedBetween(client.userId, game.creatorId)) {
+        socket.emit("join_by_code_failed", {
+          reason: "You cannot join this game",
+        });
+        return;
+      }
+
+      console.log(`${client.username} joining private game ${game.gameId} by invite code`);
+      await joinWaitingGame(socket, client, game);
+    } catch (error) {
+      console.error("Join by code error:", error);
+      socket.emit("join_by_code_failed", {
+        reason: "Server error joining game",
+      });
+    }
+  });
+
+  // NEW: Challenge a specific online player by username
+  socket.on("challenge_player", (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const client = connectedClients.get(socket.id);
+      if (!client) {
+        socket.emit("error", { message: "User not authenticated" });
+        return;
+      }
+
+      const target = Array.from(connectedClients.values()).find(
+        (c) => c.username === data?.username
+      );
+      if (!target) {
+        socket.emit("challenge_failed", { reason: "Player is not online" });
+        return;
+      }
+      if (target.userId === client.userId) {
+        socket.emit("challenge_failed", {
+          reason: "You cannot challenge yourself",
+        });
+        return;
+      }
+      if (isBlockedBetween(client.userId, target.userId)) {
+        socket.emit("challenge_failed", {
+          reason: "You cannot challenge this player",
+        });
+        return;
+      }
+
+      const color = parseColorPreference(data);
+      const options = parseGameOptions(data);
+      if (options.error) {
+        socket.emit("challenge_failed", { reason: options.error });
+        return;
+      }
+
+      const duplicate = Array.from(pendingChallenges.values()).some(
+        (c) => c.challengerId === client.userId && c.targetId === target.userId
+      );
+      if (duplicate) {
+        socket.emit("challenge_failed", {
+          reason: "You already have a pending challenge to this player",
+        });
+        return;
+      }
+
+      const challenge = {
+        challengeId: uuidv4(),
+        challengerId: client.userId,
+        challengerName: client.username,
+        targetId: target.userId,
+        targetName: target.username,
+        color,
+        options,
+        createdAt: Date.now(),
+        expiresAt: Date.now() + CHALLENGE_TTL_SECONDS * 1000,
+      };
+      challenge.expiryTimeout = setTimeout(() => {
+        if (!removeChallenge(challenge.challengeId)) return;
+        const expired = { challengeId: challenge.challengeId };
+        emitToUser(challenge.challengerId, "challenge_expired", expired);
+        emitToUser(challenge.targetId, "challenge_expired", expired);
+      }, CHALLENGE_TTL_SECONDS * 1000);
+      pendingChallenges.set(challenge.challengeId, challenge);
+
+      emitToUser(target.userId, "challenge_received", {
+        ...serializeChallenge(challenge),
+        challengerElo: client.elo,
+      });
+      socket.emit("challenge_sent", serializeChallenge(challenge));
+      console.log(`${client.username} challenged ${target.username}`);
+    } catch (error) {
+      console.error("Challenge player error:", error);
+      socket.emit("challenge_failed", {
+        reason: "Server error sending challenge",
+      });
+    }
+  });
+
+  socket.on("accept_challenge", async (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const client = connectedClients.get(socket.id);
+      if (!client) return;
+
+      const challenge = pendingChallenges.get(data?.challengeId);
+      if (!challenge || challenge.targetId !== client.userId) {
+        socket.emit("challenge_failed", {
+          challengeId: data?.challengeId,
+          reason: "Challenge not found or expired",
+        });
+        return;
+      }
+
+      const challenger = findClientByUserId(challenge.challengerId);
+      if (!challenger || !challenger.socket.connected) {
+        removeChallenge(challenge.challengeId);
+        socket.emit("challenge_failed", {
+          challengeId: challenge.challengeId,
+          reason: "Challenger is no longer online",
+        });
+        return;
+      }
+
+      if (
+        isUserInActiveGame(client.userId) ||
+        isUserInActiveGame(challenger.userId)
+      ) {
+        socket.emit("challenge_failed", {
+          challengeId: challenge.challengeId,
+          reason: "A player is already in a game",
+        });
+        return;
+      }
+
+      removeChallenge(challenge.challengeId);
+
+      // NEW: Random colours are balanced by recent colour history
+      pairingReservations.add(challenger.userId);
+      pairingReservations.add(client.userId);
+      const { white } = await assignColors(
+        { userId: challenger.userId, color: challenge.color },
+        { userId: client.userId, color: "random" },
+        db
+      );
+      const challengerIsWhite = white.userId === challenger.userId;
+      const whiteClient = challengerIsWhite ? challenger : client;
+      const blackClient = challengerIsWhite ? client : challenger;
+      const gameId = uuidv4();
+      const {
+        timeControl,
+        incrementSeconds,
+        delaySeconds,
+        allowTakebacks,
+        variant,
+        initialFen,
+      } = challenge.options;
+
+      db.run(
+        `INSERT INTO games (id, player_white_id, player_black_id, status, time_control_minutes,
+           takebacks_allowed, increment_seconds, delay_seconds, white_elo, black_elo, variant, initial_fen)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?,
+           (SELECT elo FROM users WHERE id = ?), (SELECT elo FROM users WHERE id = ?), ?, ?)`,
+        [
+          gameId,
+          whiteClient.userId,
+          blackClient.userId,
+          "inprogress",
+          timeControl,
+          allowTakebacks ? 1 : 0,
+          incrementSeconds,
+          delaySeconds,
+          whiteClient.userId,
+          blackClient.userId,
+          variant,
+          initialFen,
+        ],
+        (err) => {
+          pairingReservations.delete(challenger.userId);
+          pairingReservations.delete(client.userId);
+
+          if (err) {
+            console.error("Error creating challenge game:", err);
+            socket.emit("challenge_failed", {
+              challengeId: challenge.challengeId,
+              reason: "Failed to create game",
+            });
+            return;
+          }
+
+          emitToUser(challenge.challengerId, "challenge_accepted", {
+            challengeId: challenge.challengeId,
+            gameId,
+          });
+          startGame(gameId, whiteClient, blackClient, challenge.options);
+        }
+      );
+    } catch (error) {
+      console.error("Accept challenge error:", error);
+      socket.emit("challenge_failed", {
+        reason: "Server error accepting challenge",
+      });
+    }
+  });
+
+  socket.on("decline_challenge", (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const client = connectedClients.get(socket.id);
+      if (!client) return;
+
+      const challenge = pendingChallenges.get(data?.challengeId);
+      if (!challenge || challenge.targetId !== client.userId) return;
+
+      removeChallenge(challenge.challengeId);
+      emitToUser(challenge.challengerId, "challenge_declined", {
+        challengeId: challenge.challengeId,
+        by: client.username,
+      });
+      console.log(`${client.username} declined a challenge from ${challenge.challengerName}`);
+    } catch (error) {
+      console.error("Decline challenge error:", error);
+    }
+  });
+
+  socket.on("cancel_challenge", (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const client = connectedClients.get(socket.id);
+      if (!client) return;
+
+      const challenge = pendingChallenges.get(data?.challengeId);
+      if (!challenge || challenge.challengerId !== client.userId) return;
+
+      removeChallenge(challenge.challengeId);
+      emitToUser(challenge.targetId, "challenge_cancelled", {
+        challengeId: challenge.challengeId,
+        reason: "Challenge withdrawn",
+      });
+      socket.emit("challenge_cancelled", {
+        challengeId: challenge.challengeId,
+        reason: "Challenge withdrawn",
+      });
+    } catch (error) {
+      console.error("Cancel challenge error:", error);
+    }
+  });
+
+  // NEW: Friends
+  socket.on("send_friend_request", async (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const client = connectedClients.get(socket.id);
+      if (!client) {
+        socket.emit("friend_request_failure", { reason: "Not authenticated" });
+        return;
+      }
+
+      const result = await sendFriendRequest(client, data?.username);
+      if (result.error) {
+        socket.emit("friend_request_failure", { reason: result.error });
+        return;
+      }
+
+      socket.emit("friend_request_sent", {
+        userId: result.target.id,
+        username: result.target.username,
+        status: result.status,
+      });
+    } catch (error) {
+      console.error("Send friend request error:", error);
+      socket.emit("friend_request_failure", {
+        reason: "Server error sending friend request",
+      });
+    }
+  });
+
+  socket.on("accept_friend_request", async (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const client = connectedClients.get(socket.id);
+      if (!client) {
+        socket.emit("friend_request_failure", { reason: "Not authenticated" });
+        return;
+      }
+
+      const requesterId = parseInt(data?.userId);
+      const limitError = await checkFriendLimit(client.userId, requesterId);
+      if (limitError) {
+        socket.emit("friend_request_failure", { reason: limitError });
+        return;
+      }
+
+      const changes = await acceptFriendship(requesterId, client.userId);
+      const requester = changes ? await getUserById(requesterId, db) : null;
+      if (!requester) {
+        socket.emit("friend_request_failure", {
+          reason: "Friend request not found",
+        });
+        return;
+      }
+
+      announceFriendship(
+        { id: client.userId, username: client.username, elo: client.elo },
+        requester
+      );
+      console.log(`${client.username} and ${requester.username} are now friends`);
+    } catch (error) {
+      console.error("Accept friend request error:", error);
+      socket.emit("friend_request_failure", {
+        reason: "Server error accepting friend request",
+      });
+    }
+  });
+
+  socket.on("decline_friend_request", async (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const client = connectedClients.get(socket.id);
+      if (!client) return;
+
+      const requesterId = parseInt(data?.userId);
+      const changes = await runStatement(
+        "DELETE FROM friendships WHERE requester_id = ? AND addressee_id = ? AND status = 'pending'",
+        [requesterId, client.userId]
+      );
+      if (!changes) {
+        socket.emit("friend_request_failure", {
+          reason: "Friend request not found",
+        });
+        return;
+      }
+
+      socket.emit("friend_request_declined", { userId: requesterId });
+      emitToUser(requesterId, "friend_request_declined", {
+        userId: client.userId,
+        username: client.username,
+      });
+    } catch (error) {
+      console.error("Decline friend request error:", error);
+    }
+  });
+
+  // Removes a friend, or withdraws a pending request in either direction
+  socket.on("remove_friend", async (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const client = connectedClients.get(socket.id);
+      if (!client) return;
+
+      const otherId = parseInt(data?.userId);
+      const changes = await runStatement(
+        `DELETE FROM friendships
+         WHERE (requester_id = ? AND addressee_id = ?) OR (requester_id = ? AND addressee_id = ?)`,
+        [client.userId, otherId, otherId, client.userId]
+      );
+      if (!changes) {
+        socket.emit("friend_request_failure", {
+          reason: "Not on your friends list",
+        });
+        return;
+      }
+
+      socket.emit("friend_removed", { userId: otherId });
+      emitToUser(otherId, "friend_removed", {
+        userId: client.userId,
+        username: client.username,
+      });
+    } catch (error) {
+      console.error("Remove friend error:", error);
+    }
+  });
+
+  socket.on("request_friends_list", async () => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const client = connectedClients.get(socket.id);
+      if (!client) {
+        socket.emit("error", { message: "User not authenticated" });
+        return;
+      }
+
+      socket.emit("friends_list", await buildFriendsList(client.userId));
+    } catch (error) {
+      console.error("Friends list error:", error);
+      socket.emit("error", { message: "Failed to load friends list" });
+    }
+  });
+
+  // NEW: Block and mute lists
+  const updateBlockList = (event, kind, enabled) => async (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const client = connectedClients.get(socket.id);
+      if (!client) {
+        socket.emit("block_list_failure", { reason: "Not authenticated" });
+        return;
+      }
+
+      const result = await setUserBlock(
+        client,
+        data?.username,
+        kind,
+        enabled
+      );
+      if (result.error) {
+        socket.emit("block_list_failure", { reason: result.error });
+        return;
+      }
+
+      const blockList = await buildBlockList(client.userId);
+      emitToUser(client.userId, "block_list", blockList);
+    } catch (error) {
+      console.error(`${event} error:`, error);
+      socket.emit("block_list_failure", {
+        reason: "Server error updating block list",
+      });
+    }
+  };
+  socket.on("block_user", updateBlockList("block_user", "block", true));
+  socket.on("unblock_user", updateBlockList("unblock_user", "block", false));
+  socket.on("mute_user", updateBlockList("mute_user", "mute", true));
+  socket.on("unmute_user", updateBlockList("unmute_user", "mute", false));
+
+  socket.on("request_block_list", async () => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const client = connectedClients.get(socket.id);
+      if (!client) {
+        socket.emit("block_list_failure", { reason: "Not authenticated" });
+        return;
+      }
+
+      socket.emit("block_list", await buildBlockList(client.userId));
+    } catch (error) {
+      console.error("Block list error:", error);
+      socket.emit("block_list_failure", {
+        reason: "Server error loading block list",
+      });
+    }
+  });
+
+  // NEW: Tournaments
+  socket.on("list_tournaments", async (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      socket.emit("tournament_list", {
+        tournaments: await listTournaments(data?.status),
+      });
+    } catch (error) {
+      console.error("List tournaments error:", error);
+      socket.emit("tournament_error", { reason: "Failed to list tournaments" });
+    }
+  });
+
+  socket.on("create_tournament", async (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const client = connectedClients.get(socket.id);
+      if (!client) {
+        socket.emit("tournament_error", { reason: "Not authenticated" });
+        return;
+      }
+
+      const result = await createTournament(client.userId, data);
+      if (result.error) {
+        socket.emit("tournament_error", { reason: result.error });
+        return;
+      }
+      socket.join(tournamentRoom(result.tournament.tournamentId));
+      socket.emit("tournament_created", result.tournament);
+    } catch (error) {
+      console.error("Create tournament error:", error);
+      socket.emit("tournament_error", {
+        reason: "Server error creating tournament",
+      });
+    }
+  });
+
+  socket.on("join_tournament", async (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const client = connectedClients.get(socket.id);
+      if (!client) {
+        socket.emit("tournament_error", { reason: "Not authenticated" });
+        return;
+      }
+
+      const result = await joinTournament(client.userId, data?.tournamentId);
+      if (result.error) {
+        socket.emit("tournament_error", {
+          tournamentId: data?.tournamentId,
+          reason: result.error,
+        });
+        return;
+      }
+      socket.join(tournamentRoom(data.tournamentId));
+      socket.emit("tournament_joined", serializeTournament(result.state));
+    } catch (error) {
+      console.error("Join tournament error:", error);
+      socket.emit("tournament_error", {
+        reason: "Server error joining tournament",
+      });
+    }
+  });
+
+  socket.on("leave_tournament", async (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const client = connectedClients.get(socket.id);
+      if (!client) return;
+
+      const result = await leaveTournament(client.userId, data?.tournamentId);
+      if (result.error) {
+        socket.emit("tournament_error", {
+          tournamentId: data?.tournamentId,
+          reason: result.error,
+        });
+        return;
+      }
+      socket.emit("tournament_left", { tournamentId: data.tournamentId });
+    } catch (error) {
+      console.error("Leave tournament error:", error);
+    }
+  });
+
+  socket.on("start_tournament", async (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const client = connectedClients.get(socket.id);
+      if (!client) return;
+
+      const result = await startTournament(client.userId, data?.tournamentId);
+      if (result.error) {
+        socket.emit("tournament_error", {
+          tournamentId: data?.tournamentId,
+          reason: result.error,
+        });
+      }
+    } catch (error) {
+      console.error("Start tournament error:", error);
+      socket.emit("tournament_error", {
+        reason: "Server error starting tournament",
+      });
+    }
+  });
+
+  socket.on("berserk", async (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const client = connectedClients.get(socket.id);
+      if (!client) return;
+
+      const result = await berserkArenaGame(client, data?.gameId);
+      if (result.error) {
+        socket.emit("berserk_rejected", {
+          gameId: data?.gameId,
+          reason: result.error,
+        });
+      }
+    } catch (error) {
+      console.error("Berserk error:", error);
+    }
+  });
+
+  // Follow a tournament live: tournament_update after every change
+  socket.on("watch_tournament", async (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const state = data?.tournamentId
+        ? await loadTournament(data.tournamentId)
+        : null;
+      if (!state) {
+        socket.emit("tournament_error", {
+          tournamentId: data?.tournamentId,
+          reason: "Tournament not found",
+        });
+        return;
+      }
+      socket.join(tournamentRoom(data.tournamentId));
+      socket.emit("tournament_update", serializeTournament(state));
+    } catch (error) {
+      console.error("Watch tournament error:", error);
+    }
+  });
+
+  socket.on("stop_watching_tournament", (data) => {
+    connectionHeartbeats.set(socket.id, Date.now());
+    if (data?.tournamentId) socket.leave(tournamentRoom(data.tournamentId));
+  });
+
+  // CRITICAL FIX: Enhanced move handling with checkmate detection and timer management
+  socket.on("move", async (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const client = connectedClients.get(socket.id);
+      if (!client) {
+        socket.emit("error", { message: "User not authenticated" });
+        return;
+      }
+
+      const { gameId, move } = data;
+      if (!gameId || !move) {
+        socket.emit("invalid_move", { reason: "Game ID and move required" });
+        return;
+      }
+
+      console.log(
+        `Move received: ${move} from ${client.username} in game ${gameId}`
+      );
+
+      // Get active game and validate
+      const activeGame = activeGames.get(gameId);
+      if (!activeGame || activeGame.ending) {
+        socket.emit("invalid_move", {
+          reason: "Game not found or no longer active",
+        });
+        return;
+      }
+
+      // Validate player's turn
+      const isPlayerWhite = client.userId === activeGame.playerId1;
+      const currentTurn = activeGame.chess.turn();
+      const isPlayerTurn =
+        (currentTurn === "w" && isPlayerWhite) ||
+        (currentTurn === "b" && !isPlayerWhite);
+
+      if (!isPlayerTurn) {
+        socket.emit("invalid_move", { reason: "Not your turn" });
+        return;
+      }
+
+      // Validate and process move using Chess.js
+      const moveResult = activeGame.chess.move(move);
+
+      if (!moveResult) {
+        socket.emit("invalid_move", { reason: "Invalid move" });
+        return;
+      }
+
+      console.log(`Valid move processed: ${moveResult.san} in game ${gameId}`);
+
+      // NEW: A pending draw offer lapses once the player it was made to moves instead
+      if (
+        activeGame.drawOffer &&
+        activeGame.drawOffer.fromUserId !== client.userId
+      ) {
+        activeGame.drawOffer = null;
+        io.to(gameId).emit("draw_offer_expired", { gameId });
+      }
+
+      // NEW: Any move invalidates a pending takeback request
+      if (activeGame.takebackRequest) {
+        activeGame.takebackRequest = null;
+        io.to(gameId).emit("takeback_expired", { gameId });
+      }
+
+      // CRITICAL FIX: Update timer for the player who just moved
+      if (activeGame.timer) {
+        activeGame.timerHistory.push(activeGame.timer.getSnapshot());
+        activeGame.timer.switchPlayer();
+      }
+
+      // Update game state in Redis with retry
+      try {
+        await redis.set(`game:${gameId}:fen`, activeGame.chess.fen());
+        await redis.set(
+          `game:${gameId}:turn`,
+          activeGame.chess.turn() === "w" ? "white" : "black"
+        );
+      } catch (redisError) {
+        console.error("Redis error updating game state:", redisError);
+      }
+
+      // Store move in database
+      db.run(
+        "INSERT INTO game_moves (game_id, move_number, move_notation, san, player_id) VALUES (?, ?, ?, ?, ?)",
+        [gameId, activeGame.chess.history().length, move, moveResult.san, client.userId]
+      );
+      await checkpointGame(activeGame);
+
+      // CRITICAL FIX: Get timer data for synchronization
+      const timerData = activeGame.timer
+        ? activeGame.timer.getTimerData()
+        : null;
+
+      // Prepare move data to broadcast with enhanced information
+      const moveData = {
+        gameId,
+        move: moveResult.san,
+        from: moveResult.from,
+        to: moveResult.to,
+        fen: activeGame.chess.fen(),
+        turn: activeGame.chess.turn() === "w" ? "white" : "black",
+        player: client.username,
+        piece: moveResult.piece,
+        captured: moveResult.captured || null,
+        flags: moveResult.flags || "",
+        san: moveResult.san,
+        promotion: moveResult.promotion || null,
+        claimableDraws: getClaimableDrawReasons(activeGame.chess),
+      };
+
+      // CRITICAL FIX: Add comprehensive timer data for proper synchronization
+      if (timerData) {
+        moveData.playerTimeRemaining = isPlayerWhite
+          ? timerData.player1Time
+          : timerData.player2Time;
+        moveData.opponentTimeRemaining = isPlayerWhite
+          ? timerData.player2Time
+          : timerData.player1Time;
+        moveData.currentPlayerNumber = timerData.currentPlayer;
+        moveData.serverTimestamp = Date.now();
+
+        console.log(
+          `Move timer data: Player ${client.username} (${
+            isPlayerWhite ? "white" : "black"
+          }) - PlayerTime: ${moveData.playerTimeRemaining}s, OpponentTime: ${
+            moveData.opponentTimeRemaining
+          }s`
+        );
+      }
+
+      // NEW: Add last move information for highlighting
+      const history = activeGame.chess.history({ verbose: true });
+      if (history.length >= 2) {
+        const lastMove = history[history.length - 2]; // Previous move (for opponent highlighting)
+        moveData.lastOpponentMove = {
+          from: lastMove.from,
+          to: lastMove.to,
+          piece: lastMove.piece,
+          san: lastMove.san,
+        };
+      }
+
+      // CRITICAL FIX: Enhanced checkmate detection with board state
+      const winnerId = isPlayerWhite
+        ? activeGame.playerId1
+        : activeGame.playerId2;
+      const loserId = isPlayerWhite
+        ? activeGame.playerId2
+        : activeGame.playerId1;
+
+      if (detectGameEnd(activeGame.chess, gameId, winnerId, loserId)) {
+        // Game ended - detectGameEnd handles all notifications
+        console.log(`Game ${gameId} ended after move ${moveResult.san}`);
+        return; // Don't send normal move_made event
+      }
+
+      // Normal move - broadcast to game room and spectators
+      io.to(gameAudience(gameId)).emit("move_made", moveData);
+      console.log(
+        `Move broadcasted to game room: ${moveResult.san} by ${client.username}`
+      );
+    } catch (error) {
+      console.error("Move error:", error);
+      socket.emit("error", { message: "Server error processing move" });
+    }
+  });
+
+  // Handle chat with enhanced validation
+  socket.on("chat", (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const client = connectedClients.get(socket.id);
+      if (!client) return;
+
+      const { gameId, message } = data;
+      if (
+        !gameId ||
+        typeof message !== "string" ||
+        message.trim().length === 0
+      ) {
+        return;
+      }
+      // NEW: Only players in the game room can chat (and have messages stored)
+      if (!socket.rooms.has(gameId)) return;
+
+      const moderated = moderateChatMessage(message);
+      const chatData = {
+        gameId,
+        username: client.username,
+        message: moderated.message,
+        timestamp: Date.now(),
+      };
+
+      saveGameChat(client, chatData, moderated.original, moderated.flag);
+      if (moderated.rejected) {
+        socket.emit("chat_rejected", { gameId, reason: moderated.rejected });
+        return;
+      }
+
+      emitChatToRoom(gameId, client.userId, "chat", chatData);
+      console.log(
+        `Chat: ${client.username} in ${gameId}: ${message.substring(0, 50)}...`
+      );
+    } catch (error) {
+      console.error("Chat error:", error);
+    }
   });
 
-  // Monitor transport errors
-  socket.conn.on("error", (error) => {
-    const client = connectedClients.get(socket.id);
-    const username = client ? client.username : "unknown";
-    console.log(
-      `Transport error for ${username} (${socket.id}): ${error.message}`
-    );
+  // NEW: Lobby and named chat channels
+  socket.on("list_channels", () => {
+    connectionHeartbeats.set(socket.id, Date.now());
+    socket.emit("channel_list", {
+      channels: Array.from(chatChannels.values()).map((channel) => ({
+        channel: channel.name,
+        memberCount: getChannelMembers(channel).length,
+      })),
+    });
   });
 
-  // Enhanced register handler with better error handling
-  socket.on("register", async (data) => {
+  socket.on("join_channel", (data) => {
     try {
       connectionHeartbeats.set(socket.id, Date.now());
-      console.log(`Registration attempt: ${data?.username}`);
-      const { username, password } = data;
+      const client = connectedClients.get(socket.id);
+      if (!client) {
+        socket.emit("channel_error", { reason: "Not authenticated" });
+        return;
+      }
 
-      if (!username || !password) {
-        socket.emit("registration_failure", {
-          reason: "Username and password required",
+      const name = normalizeChannelName(data?.channel);
+      if (!name) {
+        socket.emit("channel_error", {
+          channel: data?.channel,
+          reason:
+            "Channel names are 2-24 characters: letters, digits, _ and -",
         });
         return;
       }
 
-      if (username.length < 3 || password.length < 4) {
-        socket.emit("registration_failure", {
-          reason: "Username must be at least 3 characters, password at least 4",
+      const joined = Array.from(chatChannels.values()).filter((c) =>
+        c.members.has(socket.id)
+      );
+      if (
+        !joined.some((c) => c.name === name) &&
+        joined.length >= MAX_CHANNELS_PER_SOCKET
+      ) {
+        socket.emit("channel_error", {
+          channel: name,
+          reason: `You can be in at most ${MAX_CHANNELS_PER_SOCKET} channels`,
         });
         return;
       }
 
-      const passwordHash = await bcrypt.hash(password, 12);
-
-      db.run(
-        "INSERT INTO users (username, password_hash) VALUES (?, ?)",
-        [username, passwordHash],
-        function (err) {
-          if (err) {
-            console.log(`Registration failed for ${username}: ${err.message}`);
-            socket.emit("registration_failure", {
-              reason: "Username already exists",
-            });
-          } else {
-            console.log(
-              `User registered successfully: ${username} (ID: ${this.lastID})`
-            );
-            socket.emit("registration_success", {
-              userId: this.lastID,
-              username: username,
-            });
-          }
-        }
-      );
-    } catch (error) {
-      console.error("Registration error:", error);
-      socket.emit("registration_failure", {
-        reason: "Server error during registration",
+      const channel = joinChannel(socket, client, name);
+      socket.emit("channel_joined", {
+        channel: name,
+        members: getChannelMembers(channel),
+        backlog: channel.backlog.filter(
+          (m) => !hasMuted(client.userId, m.userId)
+        ),
       });
+      console.log(`${client.username} joined channel ${name}`);
+    } catch (error) {
+      console.error("Join channel error:", error);
+      socket.emit("channel_error", { reason: "Server error joining channel" });
     }
   });
 
-  // Enhanced login handler
-  socket.on("login", async (data) => {
+  socket.on("leave_channel", (data) => {
     try {
       connectionHeartbeats.set(socket.id, Date.now());
-      console.log(`Login attempt: ${data?.username}`);
-      const { username, password } = data;
+      const client = connectedClients.get(socket.id);
+      if (!client) return;
 
-      if (!username || !password) {
-        socket.emit("login_failure", {
-          reason: "Username and password required",
+      const name = normalizeChannelName(data?.channel);
+      if (!name || !leaveChannel(socket, client, name)) {
+        socket.emit("channel_error", {
+          channel: data?.channel,
+          reason: "You are not in this channel",
         });
         return;
       }
-
-      db.get(
-        "SELECT * FROM users WHERE username = ?",
-        [username],
-        async (err, user) => {
-          if (err) {
-            console.error("Database error during login:", err);
-            socket.emit("login_failure", { reason: "Server error" });
-            return;
-          }
-
-          if (!user) {
-            console.log(`Login failed - user not found: ${username}`);
-            socket.emit("login_failure", {
-              reason: "Invalid username or password",
-            });
-            return;
-          }
-
-          try {
-            const isValid = await bcrypt.compare(password, user.password_hash);
-            if (!isValid) {
-              console.log(`Login failed - invalid password: ${username}`);
-              socket.emit("login_failure", {
-                reason: "Invalid username or password",
-              });
-              return;
-            }
-
-            // Update last login
-            db.run(
-              "UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?",
-              [user.id]
-            );
-
-            // Store client info with enhanced data
-            connectedClients.set(socket.id, {
-              userId: user.id,
-              username: user.username,
-              elo: user.elo,
-              socket: socket,
-              connectedAt: Date.now(),
-              transport: socket.conn.transport.name,
-            });
-
-            console.log(
-              `User logged in successfully: ${username} (ELO: ${user.elo}) via ${socket.conn.transport.name}`
-            );
-
-            socket.emit("login_success", {
-              userId: user.id,
-              username: user.username,
-              elo: user.elo,
-              gamesPlayed: user.games_played,
-              gamesWon: user.games_won,
-              transport: socket.conn.transport.name,
-            });
-          } catch (bcryptError) {
-            console.error("Bcrypt error:", bcryptError);
-            socket.emit("login_failure", { reason: "Authentication error" });
-          }
-        }
-      );
+      socket.emit("channel_left", { channel: name });
     } catch (error) {
-      console.error("Login error:", error);
-      socket.emit("login_failure", { reason: "Server error during login" });
+      console.error("Leave channel error:", error);
     }
   });
 
-  // Enhanced game creation
-  socket.on("create_game", async (data) => {
+  socket.on("request_channel_members", (data) => {
+    connectionHeartbeats.set(socket.id, Date.now());
+    const channel = chatChannels.get(normalizeChannelName(data?.channel));
+    if (!channel) {
+      socket.emit("channel_error", {
+        channel: data?.channel,
+        reason: "Channel not found",
+      });
+      return;
+    }
+    socket.emit("channel_members", {
+      channel: channel.name,
+      members: getChannelMembers(channel),
+    });
+  });
+
+  socket.on("channel_message", (data) => {
     try {
       connectionHeartbeats.set(socket.id, Date.now());
       const client = connectedClients.get(socket.id);
-      if (!client) {
-        socket.emit("error", { message: "User not authenticated" });
+      if (!client) return;
+
+      const channel = chatChannels.get(normalizeChannelName(data?.channel));
+      if (!channel || !channel.members.has(socket.id)) {
+        socket.emit("channel_error", {
+          channel: data?.channel,
+          reason: "Join the channel before sending messages",
+        });
+        return;
+      }
+      const { message } = data;
+      if (typeof message !== "string" || message.trim().length === 0) return;
+
+      const moderated = moderateChatMessage(message);
+      if (moderated.rejected) {
+        socket.emit("chat_rejected", {
+          channel: channel.name,
+          reason: moderated.rejected,
+        });
         return;
       }
 
-      const gameId = uuidv4();
-      const timeControl = data?.timeControl || 30;
-
-      console.log(`Creating game: ${gameId} by ${client.username}`);
-
-      db.run(
-        "INSERT INTO games (id, player_white_id, status, time_control_minutes) VALUES (?, ?, ?, ?)",
-        [gameId, client.userId, "waiting", timeControl],
-        async function (err) {
-          if (err) {
-            console.error("Error creating game:", err);
-            socket.emit("error", { message: "Failed to create game" });
-            return;
-          }
-
-          waitingGames.push({
-            gameId,
-            creatorId: client.userId,
-            timeControl,
-            createdAt: Date.now(),
-          });
-
-          // Initialize game state in Redis with retry
-          const chess = new Chess();
-          try {
-            await redis.set(`game:${gameId}:fen`, chess.fen());
-            await redis.set(`game:${gameId}:turn`, "white");
-            await redis.set(`game:${gameId}:moves`, JSON.stringify([]));
-            await redis.set(`game:${gameId}:creator`, client.userId);
-          } catch (redisError) {
-            console.error("Redis error:", redisError);
-            // Continue without Redis for now
-          }
-
-          socket.emit("waiting_for_opponent", {
-            gameId,
-            timeControl,
-            position: "white",
-            created: Date.now(),
-          });
-
-          console.log(`Game created successfully: ${gameId}`);
-        }
+      const messageData = {
+        channel: channel.name,
+        userId: client.userId,
+        username: client.username,
+        message: moderated.message,
+        timestamp: Date.now(),
+      };
+      channel.backlog.push(messageData);
+      if (channel.backlog.length > CHAT_HISTORY_LIMIT) channel.backlog.shift();
+
+      emitChatToRoom(
+        channelRoom(channel.name),
+        client.userId,
+        "channel_message",
+        messageData
       );
     } catch (error) {
-      console.error("Create game error:", error);
-      socket.emit("error", { message: "Server error during game creation" });
+      console.error("Channel message error:", error);
     }
   });
 
-  // Enhanced game search with ELO-based matchmaking
-  socket.on("search_for_game", async () => {
+  // CRITICAL FIX: Enhanced resignation handler
+  socket.on("resign", async (data) => {
     try {
       connectionHeartbeats.set(socket.id, Date.now());
       const client = connectedClients.get(socket.id);
-      if (!client) {
-        socket.emit("error", { message: "User not authenticated" });
-        return;
-      }
-
-      console.log(`${client.username} (ELO: ${client.elo}) searching for game`);
-
-      // NEW: ELO-based matchmaking with range prioritization
-      const playerElo = client.elo;
-      const eloRanges = [
-        { min: playerElo - 100, max: playerElo + 100 }, // ±100 ELO (preferred)
-        { min: playerElo - 200, max: playerElo + 200 }, // ±200 ELO (acceptable)
-        { min: playerElo - 400, max: playerElo + 400 }, // ±400 ELO (wider range)
-        { min: 0, max: 4000 }, // Any opponent (fallback)
-      ];
-
-      let matchedGame = null;
-      let matchReason = "";
-
-      // Try each ELO range in order of preference
-      for (let i = 0; i < eloRanges.length; i++) {
-        const range = eloRanges[i];
-
-        // Find games where the creator's ELO is within the current range
-        const potentialGames = waitingGames.filter((g) => {
-          if (g.creatorId === client.userId) return false; // Can't match with self
-
-          // Get creator's ELO
-          const creatorClient = Array.from(connectedClients.values()).find(
-            (c) => c.userId === g.creatorId
-          );
-
-          if (!creatorClient) return false; // Creator disconnected
-
-          const creatorElo = creatorClient.elo;
-          return creatorElo >= range.min && creatorElo <= range.max;
-        });
+      if (!client) return;
 
-        if (potentialGames.length > 0) {
-          // Sort by ELO proximity for best match
-          potentialGames.sort((a, b) => {
-            const creatorA = Array.from(connectedClients.values()).find(
-              (c) => c.userId === a.creatorId
-            );
-            const creatorB = Array.from(connectedClients.values()).find(
-              (c) => c.userId === b.creatorId
-            );
+      const { gameId } = data;
+      if (!gameId) return;
 
-            const eloDistanceA = Math.abs((creatorA?.elo || 1200) - playerElo);
-            const eloDistanceB = Math.abs((creatorB?.elo || 1200) - playerElo);
+      console.log(
+        `Player ${client.username} (ID: ${client.userId}) resigned from game ${gameId}`
+      );
 
-            return eloDistanceA - eloDistanceB;
-          });
+      // Process resignation with correct winner/loser logic
+      await endGameByResignation(gameId, client.userId);
+    } catch (error) {
+      console.error("Resignation error:", error);
+    }
+  });
 
-          matchedGame = potentialGames[0];
-          const creatorClient = Array.from(connectedClients.values()).find(
-            (c) => c.userId === matchedGame.creatorId
-          );
-          const eloDiff = Math.abs((creatorClient?.elo || 1200) - playerElo);
+  // NEW: Draw offers - the opponent may accept or decline until they make a move
+  socket.on("offer_draw", (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const client = connectedClients.get(socket.id);
+      if (!client) return;
 
-          matchReason =
-            i === 0
-              ? `Perfect ELO match (±${eloDiff})`
-              : i === 1
-              ? `Good ELO match (±${eloDiff})`
-              : i === 2
-              ? `Acceptable ELO match (±${eloDiff})`
-              : `Wide ELO match (±${eloDiff})`;
-          break;
-        }
+      const activeGame = getPlayerGame(client, data?.gameId);
+      if (!activeGame) {
+        socket.emit("error", { message: "Game not found or unauthorized" });
+        return;
       }
 
-      if (!matchedGame) {
-        socket.emit("no_games_found");
-        console.log(
-          `No suitable ELO-matched games found for ${client.username} (ELO: ${playerElo})`
-        );
+      // Offering while the opponent's offer is pending accepts it
+      if (
+        activeGame.drawOffer &&
+        activeGame.drawOffer.fromUserId !== client.userId
+      ) {
+        console.log(`${client.username} accepted draw by counter-offer`);
+        endGameByDraw(activeGame.gameId, "agreement");
         return;
       }
 
-      console.log(
-        `ELO-based match found for ${client.username}: ${matchReason}`
-      );
-      const game = matchedGame;
+      activeGame.drawOffer = { fromUserId: client.userId, offeredAt: Date.now() };
+      io.to(activeGame.gameId).emit("draw_offered", {
+        gameId: activeGame.gameId,
+        from: client.username,
+        offeredAt: activeGame.drawOffer.offeredAt,
+      });
+      console.log(`Draw offered by ${client.username} in game ${activeGame.gameId}`);
+    } catch (error) {
+      console.error("Offer draw error:", error);
+    }
+  });
 
-      // Remove game from waiting list
-      const gameIndex = waitingGames.indexOf(game);
-      waitingGames.splice(gameIndex, 1);
+  socket.on("accept_draw", (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const client = connectedClients.get(socket.id);
+      if (!client) return;
 
-      // Update game in database
-      db.run(
-        "UPDATE games SET player_black_id = ?, status = ? WHERE id = ?",
-        [client.userId, "inprogress", game.gameId],
-        function (err) {
-          if (err) {
-            console.error("Error updating game:", err);
-            socket.emit("error", { message: "Failed to join game" });
-            return;
-          }
+      const activeGame = getPlayerGame(client, data?.gameId);
+      if (
+        !activeGame ||
+        !activeGame.drawOffer ||
+        activeGame.drawOffer.fromUserId === client.userId
+      ) {
+        socket.emit("error", { message: "No draw offer to accept" });
+        return;
+      }
 
-          // Find creator socket
-          const creatorSocket = Array.from(connectedClients.values()).find(
-            (c) => c.userId === game.creatorId
-          )?.socket;
-
-          if (creatorSocket && creatorSocket.connected) {
-            // Join both players to game room
-            socket.join(game.gameId);
-            creatorSocket.join(game.gameId);
-
-            // Get creator info
-            const creatorClient = connectedClients.get(creatorSocket.id);
-
-            // CRITICAL FIX: Initialize game timer and active game tracking
-            const activeGame = {
-              gameId: game.gameId,
-              playerId1: game.creatorId,
-              playerId2: client.userId,
-              timer: new GameTimer(
-                game.gameId,
-                game.timeControl || 30,
-                game.creatorId,
-                client.userId
-              ),
-              chess: new Chess(),
-              startTime: Date.now(),
-            };
-            activeGames.set(game.gameId, activeGame);
-
-            // Notify both players
-            creatorSocket.emit("match_found", {
-              gameId: game.gameId,
-              yourColor: "white",
-              opponent: {
-                username: client.username,
-                elo: client.elo,
-              },
-              timeControl: game.timeControl || 30,
-            });
+      console.log(`Draw accepted by ${client.username} in game ${activeGame.gameId}`);
+      endGameByDraw(activeGame.gameId, "agreement");
+    } catch (error) {
+      console.error("Accept draw error:", error);
+    }
+  });
 
-            socket.emit("match_found", {
-              gameId: game.gameId,
-              yourColor: "black",
-              opponent: {
-                username: creatorClient.username,
-                elo: creatorClient.elo,
-              },
-              timeControl: game.timeControl || 30,
-            });
+  socket.on("decline_draw", (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const client = connectedClients.get(socket.id);
+      if (!client) return;
 
-            console.log(
-              `Match found: ${game.gameId} - ${creatorClient.username} vs ${client.username} with ${game.timeControl}min timer`
-            );
-          } else {
-            socket.emit("error", { message: "Opponent no longer available" });
-            // Re-add game to waiting list
-            waitingGames.push(game);
-          }
-        }
-      );
+      const activeGame = getPlayerGame(client, data?.gameId);
+      if (
+        !activeGame ||
+        !activeGame.drawOffer ||
+        activeGame.drawOffer.fromUserId === client.userId
+      ) {
+        return;
+      }
+
+      activeGame.drawOffer = null;
+      io.to(activeGame.gameId).emit("draw_declined", {
+        gameId: activeGame.gameId,
+        by: client.username,
+      });
+      console.log(`Draw declined by ${client.username} in game ${activeGame.gameId}`);
     } catch (error) {
-      console.error("Search game error:", error);
-      socket.emit("error", { message: "Server error during game search" });
+      console.error("Decline draw error:", error);
     }
   });
 
-  // CRITICAL FIX: Enhanced move handling with checkmate detection and timer management
-  socket.on("move", async (data) => {
+  // NEW: Claim a draw by threefold repetition or the fifty-move rule
+  socket.on("claim_draw", (data) => {
     try {
       connectionHeartbeats.set(socket.id, Date.now());
       const client = connectedClients.get(socket.id);
-      if (!client) {
-        socket.emit("error", { message: "User not authenticated" });
+      if (!client) return;
+
+      const activeGame = getPlayerGame(client, data?.gameId);
+      if (!activeGame) {
+        socket.emit("draw_claim_rejected", {
+          reason: "Game not found or unauthorized",
+        });
         return;
       }
 
-      const { gameId, move } = data;
-      if (!gameId || !move) {
-        socket.emit("invalid_move", { reason: "Game ID and move required" });
+      const claimable = getClaimableDrawReasons(activeGame.chess);
+      const reason = data?.reason || claimable[0];
+      if (!reason || !claimable.includes(reason)) {
+        socket.emit("draw_claim_rejected", {
+          gameId: activeGame.gameId,
+          reason: "No draw can be claimed in this position",
+          claimable,
+        });
         return;
       }
 
-      console.log(
-        `Move received: ${move} from ${client.username} in game ${gameId}`
-      );
+      console.log(`${client.username} claimed a draw (${reason}) in game ${activeGame.gameId}`);
+      endGameByDraw(activeGame.gameId, reason);
+    } catch (error) {
+      console.error("Claim draw error:", error);
+    }
+  });
 
-      // Get active game and validate
-      const activeGame = activeGames.get(gameId);
+  // NEW: Takebacks - undo the requester's last move (and the opponent's reply, if any)
+  socket.on("request_takeback", (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const client = connectedClients.get(socket.id);
+      if (!client) return;
+
+      const activeGame = getPlayerGame(client, data?.gameId);
       if (!activeGame) {
-        socket.emit("invalid_move", {
-          reason: "Game not found or no longer active",
+        socket.emit("takeback_rejected", {
+          reason: "Game not found or unauthorized",
         });
         return;
       }
 
-      // Validate player's turn
-      const isPlayerWhite = client.userId === activeGame.playerId1;
-      const currentTurn = activeGame.chess.turn();
-      const isPlayerTurn =
-        (currentTurn === "w" && isPlayerWhite) ||
-        (currentTurn === "b" && !isPlayerWhite);
-
-      if (!isPlayerTurn) {
-        socket.emit("invalid_move", { reason: "Not your turn" });
+      if (!activeGame.allowTakebacks) {
+        socket.emit("takeback_rejected", {
+          gameId: activeGame.gameId,
+          reason: "Takebacks are disabled for this game",
+        });
         return;
       }
 
-      // Validate and process move using Chess.js
-      const moveResult = activeGame.chess.move(move);
+      // On the requester's turn the opponent has replied, so two plies are undone
+      const isPlayerWhite = client.userId === activeGame.playerId1;
+      const isPlayerTurn =
+        (activeGame.chess.turn() === "w") === isPlayerWhite;
+      const plies = isPlayerTurn ? 2 : 1;
 
-      if (!moveResult) {
-        socket.emit("invalid_move", { reason: "Invalid move" });
+      if (activeGame.chess.history().length < plies) {
+        socket.emit("takeback_rejected", {
+          gameId: activeGame.gameId,
+          reason: "No move to take back",
+        });
         return;
       }
 
-      console.log(`Valid move processed: ${moveResult.san} in game ${gameId}`);
-
-      // CRITICAL FIX: Update timer for the player who just moved
-      if (activeGame.timer) {
-        activeGame.timer.switchPlayer();
-      }
-
-      // Update game state in Redis with retry
-      try {
-        await redis.set(`game:${gameId}:fen`, activeGame.chess.fen());
-        await redis.set(
-          `game:${gameId}:turn`,
-          activeGame.chess.turn() === "w" ? "white" : "black"
-        );
-      } catch (redisError) {
-        console.error("Redis error updating game state:", redisError);
+      if (activeGame.takebackRequest) {
+        socket.emit("takeback_rejected", {
+          gameId: activeGame.gameId,
+          reason: "A takeback request is already pending",
+        });
+        return;
       }
 
-      // Store move in database
-      db.run(
-        "INSERT INTO game_moves (game_id, move_number, move_notation, player_id) VALUES (?, ?, ?, ?)",
-        [gameId, activeGame.chess.history().length, move, client.userId]
-      );
-
-      // CRITICAL FIX: Get timer data for synchronization
-      const timerData = activeGame.timer
-        ? activeGame.timer.getTimerData()
-        : null;
-
-      // Prepare move data to broadcast with enhanced information
-      const moveData = {
-        gameId,
-        move: moveResult.san,
-        from: moveResult.from,
-        to: moveResult.to,
-        fen: activeGame.chess.fen(),
-        turn: activeGame.chess.turn() === "w" ? "white" : "black",
-        player: client.username,
-        piece: moveResult.piece,
-        captured: moveResult.captured || null,
-        flags: moveResult.flags || "",
-        san: moveResult.san,
-        promotion: moveResult.promotion || null,
+      activeGame.takebackRequest = {
+        fromUserId: client.userId,
+        plies,
+        requestedAt: Date.now(),
       };
+      io.to(activeGame.gameId).emit("takeback_requested", {
+        gameId: activeGame.gameId,
+        from: client.username,
+        plies,
+      });
+      console.log(
+        `Takeback of ${plies} ply requested by ${client.username} in game ${activeGame.gameId}`
+      );
+    } catch (error) {
+      console.error("Request takeback error:", error);
+    }
+  });
 
-      // CRITICAL FIX: Add comprehensive timer data for proper synchronization
-      if (timerData) {
-        moveData.playerTimeRemaining = isPlayerWhite
-          ? timerData.player1Time
-          : timerData.player2Time;
-        moveData.opponentTimeRemaining = isPlayerWhite
-          ? timerData.player2Time
-          : timerData.player1Time;
-        moveData.currentPlayerNumber = timerData.currentPlayer;
-        moveData.serverTimestamp = Date.now();
+  socket.on("accept_takeback", async (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const client = connectedClients.get(socket.id);
+      if (!client) return;
 
-        console.log(
-          `Move timer data: Player ${client.username} (${
-            isPlayerWhite ? "white" : "black"
-          }) - PlayerTime: ${moveData.playerTimeRemaining}s, OpponentTime: ${
-            moveData.opponentTimeRemaining
-          }s`
-        );
+      const activeGame = getPlayerGame(client, data?.gameId);
+      const request = activeGame?.takebackRequest;
+      if (!request || request.fromUserId === client.userId) {
+        socket.emit("takeback_rejected", {
+          reason: "No takeback request to accept",
+        });
+        return;
       }
 
-      // NEW: Add last move information for highlighting
-      const history = activeGame.chess.history({ verbose: true });
-      if (history.length >= 2) {
-        const lastMove = history[history.length - 2]; // Previous move (for opponent highlighting)
-        moveData.lastOpponentMove = {
-          from: lastMove.from,
-          to: lastMove.to,
-          piece: lastMove.piece,
-          san: lastMove.san,
-        };
-      }
+      console.log(
+        `Takeback accepted by ${client.username} in game ${activeGame.gameId}`
+      );
+      await applyTakeback(activeGame, request.plies);
+    } catch (error) {
+      console.error("Accept takeback error:", error);
+      socket.emit("error", { message: "Server error applying takeback" });
+    }
+  });
 
-      // CRITICAL FIX: Enhanced checkmate detection with board state
-      const winnerId = isPlayerWhite
-        ? activeGame.playerId1
-        : activeGame.playerId2;
-      const loserId = isPlayerWhite
-        ? activeGame.playerId2
-        : activeGame.playerId1;
+  socket.on("decline_takeback", (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const client = connectedClients.get(socket.id);
+      if (!client) return;
 
-      if (detectGameEnd(activeGame.chess, gameId, winnerId, loserId)) {
-        // Game ended - detectGameEnd handles all notifications
-        console.log(`Game ${gameId} ended after move ${moveResult.san}`);
-        return; // Don't send normal move_made event
-      }
+      const activeGame = getPlayerGame(client, data?.gameId);
+      const request = activeGame?.takebackRequest;
+      if (!request || request.fromUserId === client.userId) return;
 
-      // Normal move - broadcast to game room
-      io.to(gameId).emit("move_made", moveData);
+      activeGame.takebackRequest = null;
+      io.to(activeGame.gameId).emit("takeback_declined", {
+        gameId: activeGame.gameId,
+        by: client.username,
+      });
       console.log(
-        `Move broadcasted to game room: ${moveResult.san} by ${client.username}`
+        `Takeback declined by ${client.username} in game ${activeGame.gameId}`
       );
     } catch (error) {
-      console.error("Move error:", error);
-      socket.emit("error", { message: "Server error processing move" });
+      console.error("Decline takeback error:", error);
     }
   });
 
-  // Handle chat with enhanced validation
-  socket.on("chat", (data) => {
+  // NEW: Claim the win once a disconnected opponent's grace period has run out
+  socket.on("claim_abandonment_win", async (data) => {
     try {
       connectionHeartbeats.set(socket.id, Date.now());
       const client = connectedClients.get(socket.id);
       if (!client) return;
 
-      const { gameId, message } = data;
-      if (!gameId || !message || message.trim().length === 0) return;
+      const activeGame = getPlayerGame(client, data?.gameId);
+      if (!activeGame) {
+        socket.emit("abandonment_claim_rejected", {
+          reason: "Game not found or unauthorized",
+        });
+        return;
+      }
 
-      const chatData = {
-        gameId,
-        username: client.username,
-        message: message.trim().substring(0, 200), // Limit message length
-        timestamp: Date.now(),
-      };
+      const opponentId =
+        client.userId === activeGame.playerId1
+          ? activeGame.playerId2
+          : activeGame.playerId1;
+      const countdown = activeGame.disconnectedPlayers.get(opponentId);
+      if (!countdown || !countdown.claimable) {
+        socket.emit("abandonment_claim_rejected", {
+          gameId: activeGame.gameId,
+          reason: countdown
+            ? "The grace period has not run out yet"
+            : "Your opponent is connected",
+          deadline: countdown?.deadline || null,
+        });
+        return;
+      }
 
-      io.to(gameId).emit("chat", chatData);
       console.log(
-        `Chat: ${client.username} in ${gameId}: ${message.substring(0, 50)}...`
+        `${client.username} claimed the win in game ${activeGame.gameId} by abandonment`
       );
+      await endGameByAbandonment(activeGame.gameId, client.userId, opponentId);
     } catch (error) {
-      console.error("Chat error:", error);
+      console.error("Abandonment claim error:", error);
     }
   });
 
-  // CRITICAL FIX: Enhanced resignation handler
-  socket.on("resign", async (data) => {
+  // NEW: Spectator mode - watch a live game without taking part in it
+  socket.on("watch_game", (data) => {
     try {
       connectionHeartbeats.set(socket.id, Date.now());
       const client = connectedClients.get(socket.id);
-      if (!client) return;
+      if (!client) {
+        socket.emit("error", { message: "User not authenticated" });
+        return;
+      }
 
-      const { gameId } = data;
-      if (!gameId) return;
+      const activeGame = activeGames.get(data?.gameId);
+      if (!activeGame) {
+        socket.emit("watch_failed", { reason: "Game not found or has ended" });
+        return;
+      }
 
-      console.log(
-        `Player ${client.username} (ID: ${client.userId}) resigned from game ${gameId}`
-      );
+      if (getPlayerGame(client, activeGame.gameId)) {
+        socket.emit("watch_failed", {
+          reason: "Players cannot spectate their own game",
+        });
+        return;
+      }
 
-      // Process resignation with correct winner/loser logic
-      await endGameByResignation(gameId, client.userId);
+      if (activeGame.isPrivate) {
+        socket.emit("watch_failed", { reason: "This game is private" });
+        return;
+      }
+
+      socket.join(spectatorRoom(activeGame.gameId));
+      activeGame.spectators.add(socket.id);
+
+      socket.emit("watching_game", buildGameSyncData(activeGame));
+      broadcastSpectatorCount(activeGame);
+      console.log(`${client.username} is watching game ${activeGame.gameId}`);
     } catch (error) {
-      console.error("Resignation error:", error);
+      console.error("Watch game error:", error);
+      socket.emit("watch_failed", { reason: "Server error while joining game" });
+    }
+  });
+
+  socket.on("stop_watching", (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const activeGame = activeGames.get(data?.gameId);
+      if (activeGame && removeSpectator(socket, activeGame)) {
+        socket.emit("stopped_watching", { gameId: activeGame.gameId });
+      }
+    } catch (error) {
+      console.error("Stop watching error:", error);
+    }
+  });
+
+  socket.on("list_live_games", async () => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      socket.emit("live_games", { games: await getLiveGamesList() });
+    } catch (error) {
+      console.error("List live games error:", error);
+      socket.emit("live_games", {
+        games: [],
+        error: "Server error fetching live games",
+      });
     }
   });
 
@@ -1269,6 +5705,12 @@ io.on("connection", (socket) => {
   socket.on("reconnect_to_game", async (data) => {
     try {
       connectionHeartbeats.set(socket.id, Date.now());
+
+      // Allow a fresh socket to authenticate with its session token in the same request
+      if (!connectedClients.has(socket.id) && data?.sessionToken) {
+        await resumeSession(socket, data.sessionToken);
+      }
+
       const client = connectedClients.get(socket.id);
       if (!client) {
         socket.emit("error", { message: "User not authenticated" });
@@ -1308,15 +5750,34 @@ io.on("connection", (socket) => {
       // Rejoin game room
       socket.join(gameId);
 
+      // NEW: Restored games restart their clocks once both players are back
+      if (activeGame.awaitingPlayers) {
+        activeGame.awaitingPlayers.delete(client.userId);
+        if (activeGame.awaitingPlayers.size === 0) {
+          clearTimeout(activeGame.restoreGraceTimeout);
+        }
+      }
+
+      // NEW: Coming back within the grace period cancels the abandonment countdown
+      cancelAbandonmentCountdown(activeGame, client.userId);
+      resumeTimerIfReady(activeGame);
+
       // Get current game state for synchronization
       const gameState = {
         gameId: gameId,
         fen: activeGame.chess.fen(),
         turn: activeGame.chess.turn() === "w" ? "white" : "black",
         moves: activeGame.chess.history(),
+        variant: activeGame.variant,
+        initialFen: activeGame.initialFen,
         isPlayerWhite: client.userId === activeGame.playerId1,
         timerData: activeGame.timer ? activeGame.timer.getTimerData() : null,
-        gameStatus: activeGame.chess.isGameOver() ? "ended" : "inprogress",
+        gameStatus:
+          activeGame.chess.isCheckmate() || activeGame.chess.isStalemate()
+            ? "ended"
+            : "inprogress",
+        drawOffer: activeGame.drawOffer || null,
+        chat: await getGameChat(gameId, client.userId), // NEW: Recent chat to replay
       };
 
       // Send current game state to reconnecting player
@@ -1351,13 +5812,12 @@ io.on("connection", (socket) => {
       if (!client) return;
 
       const { gameId } = data;
-      const activeGame = activeGames.get(gameId);
+      const watchedGame = activeGames.get(gameId);
+      const activeGame =
+        getPlayerGame(client, gameId) ||
+        (watchedGame?.spectators.has(socket.id) ? watchedGame : null);
 
-      if (
-        !activeGame ||
-        (client.userId !== activeGame.playerId1 &&
-          client.userId !== activeGame.playerId2)
-      ) {
+      if (!activeGame) {
         socket.emit("sync_failed", {
           reason: "Game not found or unauthorized",
         });
@@ -1365,18 +5825,7 @@ io.on("connection", (socket) => {
       }
 
       // Send authoritative game state
-      const syncData = {
-        gameId: gameId,
-        fen: activeGame.chess.fen(),
-        turn: activeGame.chess.turn() === "w" ? "white" : "black",
-        moves: activeGame.chess.history(),
-        lastMove: activeGame.chess.history().slice(-1)[0] || null,
-        timerData: activeGame.timer ? activeGame.timer.getTimerData() : null,
-        moveCount: activeGame.chess.history().length,
-        serverTimestamp: Date.now(),
-      };
-
-      socket.emit("game_sync_response", syncData);
+      socket.emit("game_sync_response", buildGameSyncData(activeGame));
       console.log(
         `Game sync provided for ${client.username} in game ${gameId}`
       );
@@ -1386,6 +5835,43 @@ io.on("connection", (socket) => {
     }
   });
 
+  // NEW: Rating progression for the in-game profile (own history unless userId is given)
+  socket.on("request_rating_history", async (data) => {
+    try {
+      connectionHeartbeats.set(socket.id, Date.now());
+      const client = connectedClients.get(socket.id);
+      const userId = parseInt(data?.userId) || client?.userId;
+      if (!userId) {
+        socket.emit("rating_history_data", {
+          requestId: data?.requestId || null,
+          error: "Not authenticated",
+        });
+        return;
+      }
+
+      const options = parseRatingHistoryOptions(data);
+      if (options.error) {
+        socket.emit("rating_history_data", {
+          requestId: data?.requestId || null,
+          error: options.error,
+        });
+        return;
+      }
+
+      const ratingHistory = await getRatingHistory(userId, options);
+      socket.emit("rating_history_data", {
+        requestId: data?.requestId || null,
+        ...ratingHistory,
+      });
+    } catch (error) {
+      console.error("Rating history error:", error);
+      socket.emit("rating_history_data", {
+        requestId: data?.requestId || null,
+        error: "Server error fetching rating history",
+      });
+    }
+  });
+
   // NEW: Handle leaderboard data request
   socket.on("request_leaderboard", async (data) => {
     try {
@@ -1394,8 +5880,23 @@ io.on("connection", (socket) => {
       const limit = parseInt(data?.limit) || 20;
       const offset = parseInt(data?.offset) || 0;
       const requestId = data?.requestId || "unknown";
+      const pool = data?.pool || null;
       
-      console.log(`Leaderboard request: limit=${limit}, offset=${offset}, requestId=${requestId}`);
+      console.log(`Leaderboard request: limit=${limit}, offset=${offset}, pool=${pool || "overall"}, requestId=${requestId}`);
+
+      // NEW: Optional time-control pool (bullet, blitz, rapid, classical)
+      if (pool && !RATING_POOLS.includes(pool)) {
+        socket.emit("leaderboard_data", {
+          entries: [],
+          totalCount: 0,
+          limit: limit,
+          offset: offset,
+          requestId: requestId,
+          error: `Unknown rating pool: ${pool}`,
+        });
+        return;
+      }
+      const source = leaderboardSource(pool);
 
       // Get leaderboard data from database
       const leaderboard = await new Promise((resolve, reject) => {
@@ -1406,6 +5907,8 @@ io.on("connection", (socket) => {
             elo,
             games_played,
             games_won,
+            games_drawn,
+            glicko_rd,
             CASE 
               WHEN games_played > 0 THEN ROUND((CAST(games_won AS FLOAT) / games_played) * 100, 1)
               ELSE 0 
@@ -1424,12 +5927,13 @@ io.on("connection", (socket) => {
               WHEN elo >= 800 THEN 'Novice'
               ELSE 'Learning'
             END as skill_level
-          FROM users 
+          FROM ${source.sql} 
           WHERE games_played >= 1  -- Include all players with at least 1 game
+            AND ${PROVISIONAL_FILTER}
           ORDER BY elo DESC, games_won DESC, games_played ASC
           LIMIT ? OFFSET ?
         `,
-          [limit, offset],
+          [...source.params, ...provisionalFilterParams(), limit, offset],
           (err, rows) => {
             if (err) reject(err);
             else resolve(rows || []);
@@ -1444,6 +5948,8 @@ io.on("connection", (socket) => {
         elo: player.elo,
         gamesPlayed: player.games_played,
         gamesWon: player.games_won,
+        gamesDrawn: player.games_drawn,
+        ratingDeviation: RATING_SYSTEM === "glicko2" ? player.glicko_rd : null,
         winRate: player.win_rate,
         skillLevel: player.skill_level,
         isOnline: Array.from(connectedClients.values()).some(
@@ -1454,7 +5960,8 @@ io.on("connection", (socket) => {
       // Get total count
       const totalCount = await new Promise((resolve, reject) => {
         db.get(
-          "SELECT COUNT(*) as count FROM users WHERE games_played >= 1",
+          `SELECT COUNT(*) as count FROM ${source.sql} WHERE games_played >= 1 AND ${PROVISIONAL_FILTER}`,
+          [...source.params, ...provisionalFilterParams()],
           (err, row) => {
             if (err) reject(err);
             else resolve(row?.count || 0);
@@ -1468,6 +5975,8 @@ io.on("connection", (socket) => {
         limit: limit,
         offset: offset,
         requestId: requestId,
+        pool: pool,
+        ratingSystem: RATING_SYSTEM,
         generatedAt: new Date().toISOString(),
       };
 
@@ -1516,6 +6025,10 @@ io.on("connection", (socket) => {
   // Enhanced disconnect handler with better error reporting
   socket.on("disconnect", (reason) => {
     try {
+      // NEW: Update spectator counts for any games this socket was watching
+      activeGames.forEach((activeGame) => removeSpectator(socket, activeGame));
+      socketRateBuckets.delete(socket.id);
+
       const client = connectedClients.get(socket.id);
       if (client) {
         const transport = client.transport || socket.conn.transport.name;
@@ -1565,6 +6078,200 @@ io.on("connection", (socket) => {
   });
 });
 
+// NEW: Restore the caller's identity from an "Authorization: Bearer <token>" header
+async function authenticateRequest(req, res, next) {
+  const token = getBearerToken(req.headers.authorization);
+  if (!token) return next();
+
+  try {
+    const payload = await resolveSessionToken(token);
+    if (payload) {
+      req.auth = {
+        userId: payload.uid,
+        sessionId: payload.sid,
+        expiresAt: payload.exp * 1000,
+      };
+    }
+  } catch (error) {
+    console.error("Error authenticating request:", error);
+  }
+  next();
+}
+
+function requireAuth(req, res, next) {
+  if (!req.auth) {
+    return res.status(401).json({ error: "Authentication required" });
+  }
+  next();
+}
+
+// NEW: HTTP account endpoints use the same budgets as their socket events, per user and IP
+function rateLimitRequest(event) {
+  return (req, res, next) => {
+    const ip = req.headers["x-forwarded-for"] || req.socket.remoteAddress;
+    const retryAfterMs = checkRateLimit(`user:${req.auth.userId}`, ip, event);
+    if (retryAfterMs > 0) {
+      res.set("Retry-After", String(Math.ceil(retryAfterMs / 1000)));
+      return res.status(429).json({ error: "Too many requests", retryAfterMs });
+    }
+    next();
+  };
+}
+
+// NEW: Session endpoints for HTTP clients holding a session token
+app.get("/session", requireAuth, async (req, res) => {
+  try {
+    const user = await getUserById(req.auth.userId, db);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    res.json({
+      userId: user.id,
+      username: user.username,
+      elo: user.elo,
+      sessionExpiresAt: req.auth.expiresAt,
+    });
+  } catch (error) {
+    console.error("Error fetching session:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.delete("/session", requireAuth, async (req, res) => {
+  try {
+    await revokeSession(
+      req.auth.sessionId,
+      Math.floor(req.auth.expiresAt / 1000)
+    );
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error revoking session:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// NEW: Account management for HTTP clients holding a session token
+app.post("/account/password", requireAuth, rateLimitRequest("change_password"), async (req, res) => {
+  try {
+    const result = await changePassword(
+      req.auth.userId,
+      req.body?.oldPassword,
+      req.body?.newPassword
+    );
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    disconnectOtherSockets(req.auth.userId, null, "password_changed");
+    res.json({
+      success: true,
+      sessionToken: result.session.token,
+      sessionExpiresAt: result.session.expiresAt,
+    });
+  } catch (error) {
+    console.error("Error changing password:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.post("/account/username", requireAuth, rateLimitRequest("change_username"), async (req, res) => {
+  try {
+    const result = await changeUsername(req.auth.userId, req.body?.username);
+    if (result.error) {
+      return res.status(result.status).json({
+        error: result.error,
+        nextChangeAt: result.nextChangeAt || null,
+      });
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error("Error changing username:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.delete("/account", requireAuth, rateLimitRequest("delete_account"), async (req, res) => {
+  try {
+    const result = await deleteAccount(req.auth.userId, req.body?.password);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    disconnectOtherSockets(req.auth.userId, null, "account_deleted");
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error deleting account:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// NEW: Friends list of the authenticated user
+app.get("/friends", requireAuth, async (req, res) => {
+  try {
+    res.json(await buildFriendsList(req.auth.userId));
+  } catch (error) {
+    console.error("Error fetching friends list:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// NEW: Tournaments
+app.get("/tournaments", async (req, res) => {
+  try {
+    res.json({ tournaments: await listTournaments(req.query.status) });
+  } catch (error) {
+    console.error("Error listing tournaments:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.get("/tournaments/:id", async (req, res) => {
+  try {
+    const state = await loadTournament(req.params.id);
+    if (!state) return res.status(404).json({ error: "Tournament not found" });
+    res.json(serializeTournament(state));
+  } catch (error) {
+    console.error("Error fetching tournament:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.post("/tournaments", requireAuth, rateLimitRequest("create_tournament"), async (req, res) => {
+  try {
+    const result = await createTournament(req.auth.userId, req.body);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.status(201).json(result.tournament);
+  } catch (error) {
+    console.error("Error creating tournament:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+const TOURNAMENT_ACTIONS = {
+  join: joinTournament,
+  leave: leaveTournament,
+  start: startTournament,
+};
+
+app.post("/tournaments/:id/:action", requireAuth, async (req, res) => {
+  try {
+    const action = TOURNAMENT_ACTIONS[req.params.action];
+    if (!action) return res.status(404).json({ error: "Unknown action" });
+
+    const result = await action(req.auth.userId, req.params.id);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error updating tournament:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
 // Enhanced health check endpoint
 app.get("/health", (req, res) => {
   const uptime = Math.floor(process.uptime());
@@ -1597,6 +6304,13 @@ app.get("/leaderboard", async (req, res) => {
     const limit = parseInt(req.query.limit) || 20; // Default to top 20
     const offset = parseInt(req.query.offset) || 0;
 
+    // NEW: Optional time-control pool (bullet, blitz, rapid, classical)
+    const pool = req.query.pool || null;
+    if (pool && !RATING_POOLS.includes(pool)) {
+      return res.status(400).json({ error: `Unknown rating pool: ${pool}` });
+    }
+    const source = leaderboardSource(pool);
+
     // Get top players by ELO with game statistics
     const leaderboard = await new Promise((resolve, reject) => {
       db.all(
@@ -1606,6 +6320,8 @@ app.get("/leaderboard", async (req, res) => {
           elo,
           games_played,
           games_won,
+          games_drawn,
+          glicko_rd,
           CASE 
             WHEN games_played > 0 THEN ROUND((CAST(games_won AS FLOAT) / games_played) * 100, 1)
             ELSE 0 
@@ -1624,12 +6340,13 @@ app.get("/leaderboard", async (req, res) => {
             WHEN elo >= 800 THEN 'Novice'
             ELSE 'Learning'
           END as skill_level
-        FROM users 
+        FROM ${source.sql} 
         WHERE games_played >= 3  -- Only include players with at least 3 games
+          AND ${PROVISIONAL_FILTER}
         ORDER BY elo DESC, games_won DESC, games_played ASC
         LIMIT ? OFFSET ?
       `,
-        [limit, offset],
+        [...source.params, ...provisionalFilterParams(), limit, offset],
         (err, rows) => {
           if (err) reject(err);
           else resolve(rows || []);
@@ -1649,7 +6366,8 @@ app.get("/leaderboard", async (req, res) => {
     // Get total count for pagination
     const totalCount = await new Promise((resolve, reject) => {
       db.get(
-        "SELECT COUNT(*) as count FROM users WHERE games_played >= 3",
+        `SELECT COUNT(*) as count FROM ${source.sql} WHERE games_played >= 3 AND ${PROVISIONAL_FILTER}`,
+        [...source.params, ...provisionalFilterParams()],
         (err, row) => {
           if (err) reject(err);
           else resolve(row?.count || 0);
@@ -1665,6 +6383,8 @@ app.get("/leaderboard", async (req, res) => {
         offset: offset,
         hasMore: offset + limit < totalCount,
       },
+      pool: pool,
+      ratingSystem: RATING_SYSTEM,
       generatedAt: new Date().toISOString(),
     });
 
@@ -1790,31 +6510,43 @@ app.get("/info", (req, res) => {
 // NEW: Game status endpoint for debugging
 app.get("/games", (req, res) => {
   const gamesList = [];
+  // NEW: Invite-only games stay hidden, as in the spectator list
+  const publicWaitingGames = waitingGames.filter((game) => !game.isPrivate);
+  const publicActiveGames = Array.from(activeGames.values()).filter(
+    (game) => !game.isPrivate
+  );
 
-  waitingGames.forEach((game) => {
+  publicWaitingGames.forEach((game) => {
     gamesList.push({
       id: game.gameId,
       status: "waiting",
       creatorId: game.creatorId,
       timeControl: game.timeControl,
+      incrementSeconds: game.incrementSeconds || 0,
+      delaySeconds: game.delaySeconds || 0,
+      variant: game.variant || "standard",
       createdAt: new Date(game.createdAt).toISOString(),
     });
   });
 
-  activeGames.forEach((game, gameId) => {
+  publicActiveGames.forEach((game) => {
     const timerData = game.timer ? game.timer.getTimerData() : null;
     gamesList.push({
-      id: gameId,
+      id: game.gameId,
       status: "active",
       player1Id: game.playerId1,
       player2Id: game.playerId2,
       moves: game.chess?.history()?.length || 0,
+      variant: game.variant,
       currentFen: game.chess?.fen() || "N/A",
       timer: timerData
         ? {
             player1Time: timerData.player1Time,
             player2Time: timerData.player2Time,
             currentPlayer: timerData.currentPlayer,
+            timeControl: game.timer.timeControlMinutes,
+            incrementSeconds: timerData.incrementSeconds,
+            delaySeconds: timerData.delaySeconds,
           }
         : null,
       startedAt: new Date(game.startTime).toISOString(),
@@ -1823,12 +6555,252 @@ app.get("/games", (req, res) => {
 
   res.json({
     totalGames: gamesList.length,
-    waitingGames: waitingGames.length,
-    activeGames: activeGames.size,
+    waitingGames: publicWaitingGames.length,
+    activeGames: publicActiveGames.length,
     games: gamesList,
   });
 });
 
+// NEW: Look up the waiting game behind an invite code
+app.get("/invites/:code", async (req, res) => {
+  try {
+    const game = findGameByInviteCode(req.params.code);
+    if (!game) {
+      return res.status(404).json({ error: "Invite code not found or expired" });
+    }
+
+    const creator = await getUserById(game.creatorId, db);
+    res.json({
+      code: game.inviteCode,
+      gameId: game.gameId,
+      creator: {
+        username: creator?.username || "Unknown",
+        elo: creator?.elo || null,
+      },
+      timeControl: game.timeControl,
+      incrementSeconds: game.incrementSeconds || 0,
+      delaySeconds: game.delaySeconds || 0,
+      allowTakebacks: game.allowTakebacks,
+      variant: game.variant || "standard",
+      initialFen: game.initialFen || null,
+      createdAt: new Date(game.createdAt).toISOString(),
+    });
+  } catch (error) {
+    console.error("Error looking up invite:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// NEW: Live games that can be watched with the watch_game event
+app.get("/games/live", async (req, res) => {
+  try {
+    const games = await getLiveGamesList();
+    res.json({ totalGames: games.length, games });
+  } catch (error) {
+    console.error("Error fetching live games:", error);
+    res.status(500).json({ error: "Failed to fetch live games" });
+  }
+});
+
+// NEW: PGN export. Games rows are joined with both players' usernames.
+const PGN_GAME_QUERY = `
+  SELECT g.*, w.username AS white_username, b.username AS black_username
+  FROM games g
+  LEFT JOIN users w ON g.player_white_id = w.id
+  LEFT JOIN users b ON g.player_black_id = b.id
+`;
+
+// Stored SAN moves per game id, in move order. Moves stored before the san column
+// existed only have the client's notation.
+function getStoredMoves(gameIds) {
+  if (gameIds.length === 0) return Promise.resolve(new Map());
+
+  const placeholders = gameIds.map(() => "?").join(",");
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT game_id, COALESCE(san, move_notation) AS san FROM game_moves
+       WHERE game_id IN (${placeholders})
+       ORDER BY game_id, move_number, id`,
+      gameIds,
+      (err, rows) => {
+        if (err) return reject(err);
+        const movesByGame = new Map(gameIds.map((id) => [id, []]));
+        (rows || []).forEach((row) => {
+          movesByGame.get(row.game_id).push(row.san);
+        });
+        resolve(movesByGame);
+      }
+    );
+  });
+}
+
+app.get("/games/:id/pgn", async (req, res) => {
+  try {
+    const game = await new Promise((resolve, reject) => {
+      db.get(`${PGN_GAME_QUERY} WHERE g.id = ?`, [req.params.id], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+    if (!game) {
+      return res.status(404).json({ error: "Game not found" });
+    }
+
+    // Live games use the authoritative in-memory move list
+    const activeGame = activeGames.get(game.id);
+    const moves = activeGame
+      ? activeGame.chess.history()
+      : (await getStoredMoves([game.id])).get(game.id);
+
+    res.type("application/x-chess-pgn").send(buildGamePgn(game, moves) + "\n");
+  } catch (error) {
+    console.error("Error exporting PGN:", error);
+    res.status(500).json({ error: "Failed to export PGN" });
+  }
+});
+
+app.get("/users/:userId/games.pgn", async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    if (isNaN(userId)) {
+      return res.status(400).json({ error: "Invalid user ID" });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 200, 1000);
+
+    const games = await new Promise((resolve, reject) => {
+      db.all(
+        `${PGN_GAME_QUERY}
+         WHERE (g.player_white_id = ? OR g.player_black_id = ?) AND g.status = 'finished'
+         ORDER BY g.finished_at DESC
+         LIMIT ?`,
+        [userId, userId, limit],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+
+    const movesByGame = await getStoredMoves(games.map((g) => g.id));
+    const pgn = games
+      .map((game) => buildGamePgn(game, movesByGame.get(game.id)))
+      .join("\n\n");
+
+    res
+      .attachment(`rimchess-user-${userId}.pgn`)
+      .type("application/x-chess-pgn")
+      .send(pgn ? pgn + "\n" : "");
+  } catch (error) {
+    console.error("Error exporting user PGN:", error);
+    res.status(500).json({ error: "Failed to export PGN" });
+  }
+});
+
+// NEW: Parse rating history options (from/to dates, points for downsampling)
+function parseRatingHistoryOptions(options) {
+  const toSqliteTime = (value) => {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return undefined;
+    // SQLite CURRENT_TIMESTAMP is UTC in "YYYY-MM-DD HH:MM:SS" form
+    return date.toISOString().slice(0, 19).replace("T", " ");
+  };
+
+  const from = toSqliteTime(options?.from);
+  let to = toSqliteTime(options?.to);
+  // A date without a time includes the whole of that day
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(String(options.to).trim())) {
+    to = `${to.slice(0, 10)} 23:59:59`;
+  }
+  if (from === undefined || to === undefined) {
+    return { error: "Invalid date range" };
+  }
+
+  const points = options?.points ? parseInt(options.points) : null;
+  if (points !== null && (isNaN(points) || points < 1)) {
+    return { error: "Invalid number of points" };
+  }
+
+  // Overall rating unless a time-control pool is given
+  const pool = options?.pool || null;
+  if (pool && !RATING_POOLS.includes(pool)) {
+    return { error: `Unknown rating pool: ${pool}` };
+  }
+
+  return { from, to, points, pool };
+}
+
+// NEW: A user's rating changes in chronological order
+async function getRatingHistory(userId, { from, to, points, pool }) {
+  const rows = await new Promise((resolve, reject) => {
+    db.all(
+      `
+      SELECT h.*, opponent.username as opponent_username
+      FROM rating_history h
+      LEFT JOIN users opponent ON h.opponent_id = opponent.id
+      WHERE h.user_id = ?
+        AND h.pool IS ?
+        AND (? IS NULL OR h.recorded_at >= ?)
+        AND (? IS NULL OR h.recorded_at <= ?)
+      ORDER BY h.recorded_at ASC, h.id ASC
+    `,
+      [userId, pool, from, from, to, to],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      }
+    );
+  });
+
+  const history = downsampleSeries(rows, points).map((row) => ({
+    gameId: row.game_id,
+    opponent: row.opponent_username || null,
+    ratingBefore: row.rating_before,
+    ratingAfter: row.rating_after,
+    change: row.rating_after - row.rating_before,
+    score: row.score,
+    recordedAt: row.recorded_at,
+  }));
+
+  return {
+    userId,
+    pool,
+    history,
+    totalPoints: rows.length,
+    downsampled: history.length < rows.length,
+  };
+}
+
+// NEW: Rating progression for charts
+app.get("/users/:userId/rating-history", async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    if (isNaN(userId)) {
+      return res.status(400).json({ error: "Invalid user ID" });
+    }
+
+    const options = parseRatingHistoryOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+
+    const user = await getUserById(userId, db);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const ratingHistory = await getRatingHistory(userId, options);
+    res.json({
+      username: user.username,
+      currentElo: user.elo,
+      ...ratingHistory,
+    });
+  } catch (error) {
+    console.error("Error fetching rating history:", error);
+    res.status(500).json({ error: "Failed to fetch rating history" });
+  }
+});
+
 // NEW: User stats endpoint
 app.get("/users/:userId/stats", async (req, res) => {
   try {
@@ -1838,7 +6810,7 @@ app.get("/users/:userId/stats", async (req, res) => {
     }
 
     const user = await getUserById(userId, db);
-    if (!user) {
+    if (!user || user.deleted_at) {
       return res.status(404).json({ error: "User not found" });
     }
 
@@ -1865,6 +6837,30 @@ app.get("/users/:userId/stats", async (req, res) => {
       );
     });
 
+    const glicko = RATING_SYSTEM === "glicko2" ? getGlickoRating(user) : null;
+
+    // NEW: Ratings per time-control pool the user has played
+    const poolRows = await new Promise((resolve, reject) => {
+      db.all(
+        "SELECT * FROM user_ratings WHERE user_id = ?",
+        [userId],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+    const pools = {};
+    poolRows.forEach((row) => {
+      pools[row.pool] = {
+        elo: row.elo,
+        gamesPlayed: row.games_played,
+        gamesWon: row.games_won,
+        gamesDrawn: row.games_drawn,
+        ratingDeviation: RATING_SYSTEM === "glicko2" ? row.glicko_rd : null,
+      };
+    });
+
     res.json({
       user: {
         id: user.id,
@@ -1872,6 +6868,13 @@ app.get("/users/:userId/stats", async (req, res) => {
         elo: user.elo,
         gamesPlayed: user.games_played,
         gamesWon: user.games_won,
+        gamesDrawn: user.games_drawn,
+        gamesLost: user.games_played - user.games_won - user.games_drawn,
+        ratingSystem: RATING_SYSTEM,
+        glicko: glicko
+          ? { ...glicko, provisional: glicko.rd > GLICKO_PROVISIONAL_RD }
+          : null,
+        pools,
         winRate:
           user.games_played > 0
             ? ((user.games_won / user.games_played) * 100).toFixed(1)
@@ -1887,40 +6890,31 @@ app.get("/users/:userId/stats", async (req, res) => {
   }
 });
 
-// Graceful shutdown
-process.on("SIGTERM", () => {
-  console.log("SIGTERM received, shutting down gracefully");
+// Graceful shutdown - checkpoint every active game so it can be restored on boot
+async function shutdown(signal) {
+  console.log(`${signal} received, shutting down gracefully`);
 
   // Stop all active game timers
+  const checkpoints = [];
   activeGames.forEach((game) => {
     if (game.timer) {
       game.timer.stop();
     }
+    checkpoints.push(checkpointGame(game));
   });
+  await Promise.all(checkpoints);
+  console.log(`Checkpointed ${checkpoints.length} active games`);
 
-  server.close(() => {
+  // io.close() also disconnects clients, which server.close() alone would wait on
+  io.close(() => {
     db.close();
     redis.quit();
     process.exit(0);
   });
-});
-
-process.on("SIGINT", () => {
-  console.log("SIGINT received, shutting down gracefully");
-
-  // Stop all active game timers
-  activeGames.forEach((game) => {
-    if (game.timer) {
-      game.timer.stop();
-    }
-  });
+}
 
-  server.close(() => {
-    db.close();
-    redis.quit();
-    process.exit(0);
-  });
-});
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
 
 const PORT = process.env.PORT || 3030;
 server.listen(PORT, "0.0.0.0", () => {
@@ -1,3 +1,6 @@
+const crypto = require('crypto');
+const { Chess, validateFen } = require('chess.js');
+
 // NEW: Generate board visualization for checkmate display
 function generateBoardVisualization(chess) {
   if (!chess) return null;
@@ -147,6 +150,16 @@ function getAttackedSquares(chess) {
   }
 }
 
+// NEW: Draws that a player may claim but that do not end the game automatically
+function getClaimableDrawReasons(chess) {
+  if (!chess) return [];
+
+  const reasons = [];
+  if (chess.isThreefoldRepetition()) reasons.push('threefold_repetition');
+  if (chess.isDrawByFiftyMoves()) reasons.push('fifty_move_rule');
+  return reasons;
+}
+
 // Helper function to get user by ID
 async function getUserById(userId, db) {
   return new Promise((resolve, reject) => {
@@ -157,95 +170,1215 @@ async function getUserById(userId, db) {
   });
 }
 
-// NEW: Calculate ELO changes for game result
-async function calculateEloChanges(winnerId, loserId, db) {
+// NEW: Rating pools by time control, using the estimated game length
+// (base time + 40 moves of increment): bullet < 3 min, blitz < 8 min, rapid < 25 min.
+// Chess960 games have a single pool of their own whatever the clock.
+const RATING_POOLS = ['bullet', 'blitz', 'rapid', 'classical', 'chess960'];
+
+function getRatingPool(timeControlMinutes, incrementSeconds = 0) {
+  const estimatedSeconds = timeControlMinutes * 60 + 40 * incrementSeconds;
+  if (estimatedSeconds < 180) return 'bullet';
+  if (estimatedSeconds < 480) return 'blitz';
+  if (estimatedSeconds < 1500) return 'rapid';
+  return 'classical';
+}
+
+// NEW: A user's rating row for one pool, shaped like a users row. Pools the user has
+// not played yet start from their overall ELO.
+async function getPoolRating(userId, pool, db) {
+  return new Promise((resolve, reject) => {
+    db.get(`
+      SELECT u.id, u.username,
+             COALESCE(r.elo, u.elo) as elo,
+             COALESCE(r.games_played, 0) as games_played,
+             r.glicko_rating, r.glicko_rd, r.glicko_volatility, r.last_rated_at
+      FROM users u
+      LEFT JOIN user_ratings r ON r.user_id = u.id AND r.pool = ?
+      WHERE u.id = ?
+    `, [pool, userId], (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+}
+
+// NEW: A user's rating in every pool, e.g. { bullet: 1250, blitz: 1200, ... }
+async function getPoolRatings(userId, db) {
+  const user = await getUserById(userId, db);
+  const rows = await new Promise((resolve, reject) => {
+    db.all('SELECT pool, elo FROM user_ratings WHERE user_id = ?', [userId], (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows || []);
+    });
+  });
+
+  const ratings = {};
+  RATING_POOLS.forEach((pool) => {
+    const row = rows.find((r) => r.pool === pool);
+    ratings[pool] = row ? row.elo : user?.elo ?? 1200;
+  });
+  return ratings;
+}
+
+// NEW: Glicko-2 constants (Glickman, "Example of the Glicko-2 system")
+const GLICKO2_SCALE = 173.7178;
+const GLICKO2_DEFAULT_RD = 350;
+const GLICKO2_DEFAULT_VOLATILITY = 0.06;
+const GLICKO2_TAU = 0.5; // Constrains volatility change over time
+const GLICKO2_EPSILON = 0.000001;
+
+// NEW: A user's Glicko-2 rating, seeded from their ELO if they were never rated with Glicko-2
+function getGlickoRating(user) {
+  return {
+    rating: user.glicko_rating ?? user.elo,
+    rd: user.glicko_rd ?? GLICKO2_DEFAULT_RD,
+    volatility: user.glicko_volatility ?? GLICKO2_DEFAULT_VOLATILITY
+  };
+}
+
+// NEW: Grow a rating's deviation for the rating periods a player sat out
+function applyGlickoInactivity(glicko, inactivePeriods) {
+  if (!inactivePeriods || inactivePeriods <= 0) return glicko;
+
+  const phi = glicko.rd / GLICKO2_SCALE;
+  const grownPhi = Math.sqrt(phi * phi + inactivePeriods * glicko.volatility * glicko.volatility);
+  return {
+    ...glicko,
+    rd: Math.min(GLICKO2_DEFAULT_RD, grownPhi * GLICKO2_SCALE)
+  };
+}
+
+// NEW: Glicko-2 update for one game, treated as its own rating period
+function calculateGlicko2Rating(player, opponent, score) {
+  const mu = (player.rating - 1500) / GLICKO2_SCALE;
+  const phi = player.rd / GLICKO2_SCALE;
+  const sigma = player.volatility;
+  const opponentMu = (opponent.rating - 1500) / GLICKO2_SCALE;
+  const opponentPhi = opponent.rd / GLICKO2_SCALE;
+
+  const g = 1 / Math.sqrt(1 + (3 * opponentPhi * opponentPhi) / (Math.PI * Math.PI));
+  const expected = 1 / (1 + Math.exp(-g * (mu - opponentMu)));
+  const v = 1 / (g * g * expected * (1 - expected));
+  const delta = v * g * (score - expected);
+
+  // New volatility via the Illinois algorithm
+  const a = Math.log(sigma * sigma);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    const denominator = phi * phi + v + ex;
+    return (ex * (delta * delta - phi * phi - v - ex)) / (2 * denominator * denominator) -
+      (x - a) / (GLICKO2_TAU * GLICKO2_TAU);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * GLICKO2_TAU) < 0) k++;
+    B = a - k * GLICKO2_TAU;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > GLICKO2_EPSILON) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA = fA / 2;
+    }
+    B = C;
+    fB = fC;
+  }
+  const newSigma = Math.exp(A / 2);
+
+  const phiStar = Math.sqrt(phi * phi + newSigma * newSigma);
+  const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const newMu = mu + newPhi * newPhi * g * (score - expected);
+
+  return {
+    rating: newMu * GLICKO2_SCALE + 1500,
+    rd: Math.min(GLICKO2_DEFAULT_RD, newPhi * GLICKO2_SCALE),
+    volatility: newSigma
+  };
+}
+
+// NEW: Glicko-2 rating periods elapsed since a user's last rated game
+function getInactivePeriods(user, periodDays) {
+  if (!user.last_rated_at || !periodDays) return 0;
+
+  // SQLite CURRENT_TIMESTAMP is UTC in "YYYY-MM-DD HH:MM:SS" form
+  const lastRated = Date.parse(user.last_rated_at.replace(' ', 'T') + 'Z');
+  if (isNaN(lastRated)) return 0;
+
+  return Math.max(0, (Date.now() - lastRated) / (periodDays * 24 * 60 * 60 * 1000));
+}
+
+// NEW: Calculate rating changes for a game where the player scored 1 (win), 0.5 (draw) or 0 (loss).
+// options.system is 'elo' (default) or 'glicko2'; options.periodDays is the Glicko-2 rating period;
+// options.pool rates the game in a time-control pool instead of the overall rating.
+async function calculateRatingChanges(playerId, opponentId, score, db, options = {}) {
   try {
-    const winner = await getUserById(winnerId, db);
-    const loser = await getUserById(loserId, db);
+    const player = options.pool ? await getPoolRating(playerId, options.pool, db) : await getUserById(playerId, db);
+    const opponent = options.pool ? await getPoolRating(opponentId, options.pool, db) : await getUserById(opponentId, db);
     
-    if (!winner || !loser) {
+    if (!player || !opponent) {
       console.error('Could not find players for ELO calculation');
-      return { winnerChange: 0, loserChange: 0 };
+      return { playerChange: 0, opponentChange: 0 };
     }
     
-    const winnerElo = winner.elo;
-    const loserElo = loser.elo;
+    const playerElo = player.elo;
+    const opponentElo = opponent.elo;
+
+    // Unrated games keep both ratings - applyRatingChanges only counts the game
+    if (options.unrated) {
+      return {
+        unrated: true,
+        pool: null,
+        playerChange: 0,
+        opponentChange: 0,
+        playerElo: playerElo,
+        opponentElo: opponentElo,
+        playerNewElo: playerElo,
+        opponentNewElo: opponentElo
+      };
+    }
+
+    if (options.system === 'glicko2') {
+      // Both updates use the pre-game ratings, with deviation grown for inactivity
+      const playerBefore = applyGlickoInactivity(getGlickoRating(player), getInactivePeriods(player, options.periodDays));
+      const opponentBefore = applyGlickoInactivity(getGlickoRating(opponent), getInactivePeriods(opponent, options.periodDays));
+      const playerGlicko = calculateGlicko2Rating(playerBefore, opponentBefore, score);
+      const opponentGlicko = calculateGlicko2Rating(opponentBefore, playerBefore, 1 - score);
+
+      const playerNewElo = Math.max(100, Math.round(playerGlicko.rating));
+      const opponentNewElo = Math.max(100, Math.round(opponentGlicko.rating));
+
+      console.log(`Glicko-2 calculation: ${player.username} (${playerElo}, RD ${Math.round(playerBefore.rd)}) vs ${opponent.username} (${opponentElo}, RD ${Math.round(opponentBefore.rd)}), score ${score}`);
+
+      return {
+        pool: options.pool || null,
+        playerChange: playerNewElo - playerElo,
+        opponentChange: opponentNewElo - opponentElo,
+        playerElo: playerElo,
+        opponentElo: opponentElo,
+        playerNewElo: playerNewElo,
+        opponentNewElo: opponentNewElo,
+        playerGlicko: playerGlicko,
+        opponentGlicko: opponentGlicko
+      };
+    }
     
     // K-factor (rating volatility) - higher for newer players
-    const winnerKFactor = winner.games_played < 10 ? 32 : winner.games_played < 30 ? 24 : 16;
-    const loserKFactor = loser.games_played < 10 ? 32 : loser.games_played < 30 ? 24 : 16;
+    const playerKFactor = player.games_played < 10 ? 32 : player.games_played < 30 ? 24 : 16;
+    const opponentKFactor = opponent.games_played < 10 ? 32 : opponent.games_played < 30 ? 24 : 16;
     
     // Expected scores based on ELO difference
-    const expectedWinner = 1 / (1 + Math.pow(10, (loserElo - winnerElo) / 400));
-    const expectedLoser = 1 / (1 + Math.pow(10, (winnerElo - loserElo) / 400));
-    
-    // Actual scores (1 for win, 0 for loss)
-    const actualWinner = 1;
-    const actualLoser = 0;
+    const expectedPlayer = 1 / (1 + Math.pow(10, (opponentElo - playerElo) / 400));
+    const expectedOpponent = 1 / (1 + Math.pow(10, (playerElo - opponentElo) / 400));
     
-    // Calculate ELO changes
-    const winnerChange = Math.round(winnerKFactor * (actualWinner - expectedWinner));
-    const loserChange = Math.round(loserKFactor * (actualLoser - expectedLoser));
+    // Calculate ELO changes (the opponent scored 1 - score)
+    const playerChange = Math.round(playerKFactor * (score - expectedPlayer));
+    const opponentChange = Math.round(opponentKFactor * ((1 - score) - expectedOpponent));
     
-    console.log(`ELO calculation: ${winner.username} (${winnerElo}) vs ${loser.username} (${loserElo})`);
-    console.log(`ELO changes: Winner +${winnerChange}, Loser ${loserChange}`);
+    console.log(`ELO calculation: ${player.username} (${playerElo}) vs ${opponent.username} (${opponentElo}), score ${score}`);
+    console.log(`ELO changes: ${player.username} ${playerChange}, ${opponent.username} ${opponentChange}`);
     
     return {
-      winnerChange: winnerChange,
-      loserChange: loserChange,
-      winnerNewElo: winnerElo + winnerChange,
-      loserNewElo: Math.max(100, loserElo + loserChange) // Prevent ELO going below 100
+      pool: options.pool || null,
+      playerChange: playerChange,
+      opponentChange: opponentChange,
+      playerElo: playerElo,
+      opponentElo: opponentElo,
+      playerNewElo: Math.max(100, playerElo + playerChange), // Prevent ELO going below 100
+      opponentNewElo: Math.max(100, opponentElo + opponentChange)
     };
   } catch (error) {
     console.error('Error calculating ELO changes:', error);
-    return { winnerChange: 0, loserChange: 0 };
+    return { playerChange: 0, opponentChange: 0 };
   }
 }
 
-// NEW: Update player ELOs in database
-async function updatePlayerElos(winnerId, loserId, eloChanges, db) {
+// NEW: Apply rating changes and win/draw/game counts for a scored game, recording both
+// players' rating_history rows. Glicko-2 results also store rating, deviation and
+// volatility; elo mirrors the rounded rating. Pool results (changes.pool) go to user_ratings.
+// Unrated results (changes.unrated) only update the game counts.
+async function applyRatingChanges(playerId, opponentId, score, changes, db, gameId = null) {
   try {
-    if (!eloChanges.winnerChange && !eloChanges.loserChange) return;
+    // Calculation failed - leave both players untouched
+    if (changes.playerNewElo === undefined) return;
+
+    if (changes.unrated) {
+      const countGame = (userId, playerScore) => new Promise((resolve, reject) => {
+        db.run(`
+          UPDATE users SET
+            games_played = games_played + 1,
+            games_won = games_won + ?,
+            games_drawn = games_drawn + ?
+          WHERE id = ?
+        `, [playerScore === 1 ? 1 : 0, playerScore === 0.5 ? 1 : 0, userId], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+      await countGame(playerId, score);
+      await countGame(opponentId, 1 - score);
+      console.log(`Unrated game counted for ${playerId} and ${opponentId}`);
+      return;
+    }
     
-    // Update winner ELO and game count
-    await new Promise((resolve, reject) => {
+    const updatePool = (userId, newElo, playerScore, glicko) => new Promise((resolve, reject) => {
       db.run(`
-        UPDATE users SET 
-          elo = elo + ?,
+        INSERT INTO user_ratings (user_id, pool, elo, games_played, games_won, games_drawn,
+                                  glicko_rating, glicko_rd, glicko_volatility, last_rated_at)
+        VALUES (?, ?, ?, 1, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT (user_id, pool) DO UPDATE SET
+          elo = excluded.elo,
           games_played = games_played + 1,
-          games_won = games_won + 1
-        WHERE id = ?
-      `, [eloChanges.winnerChange, winnerId], (err) => {
+          games_won = games_won + excluded.games_won,
+          games_drawn = games_drawn + excluded.games_drawn,
+          glicko_rating = COALESCE(excluded.glicko_rating, glicko_rating),
+          glicko_rd = COALESCE(excluded.glicko_rd, glicko_rd),
+          glicko_volatility = COALESCE(excluded.glicko_volatility, glicko_volatility),
+          last_rated_at = CURRENT_TIMESTAMP
+      `, [
+        userId,
+        changes.pool,
+        newElo,
+        playerScore === 1 ? 1 : 0,
+        playerScore === 0.5 ? 1 : 0,
+        glicko ? glicko.rating : null,
+        glicko ? glicko.rd : null,
+        glicko ? glicko.volatility : null
+      ], (err) => {
         if (err) reject(err);
         else resolve();
       });
     });
     
-    // Update loser ELO and game count
-    await new Promise((resolve, reject) => {
+    const updatePlayer = (userId, change, playerScore, glicko) => new Promise((resolve, reject) => {
       db.run(`
         UPDATE users SET 
           elo = MAX(100, elo + ?),
-          games_played = games_played + 1
+          games_played = games_played + 1,
+          games_won = games_won + ?,
+          games_drawn = games_drawn + ?,
+          glicko_rating = COALESCE(?, glicko_rating),
+          glicko_rd = COALESCE(?, glicko_rd),
+          glicko_volatility = COALESCE(?, glicko_volatility),
+          last_rated_at = CURRENT_TIMESTAMP
         WHERE id = ?
-      `, [eloChanges.loserChange, loserId], (err) => {
+      `, [
+        change,
+        playerScore === 1 ? 1 : 0,
+        playerScore === 0.5 ? 1 : 0,
+        glicko ? glicko.rating : null,
+        glicko ? glicko.rd : null,
+        glicko ? glicko.volatility : null,
+        userId
+      ], (err) => {
         if (err) reject(err);
         else resolve();
       });
     });
     
-    console.log(`ELO updates applied: Winner +${eloChanges.winnerChange}, Loser ${eloChanges.loserChange}`);
+    const recordHistory = (userId, otherId, before, after, playerScore) => new Promise((resolve, reject) => {
+      db.run(`
+        INSERT INTO rating_history (user_id, game_id, opponent_id, pool, rating_before, rating_after, score)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [userId, gameId, otherId, changes.pool || null, before, after, playerScore], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+    
+    if (changes.pool) {
+      await updatePool(playerId, changes.playerNewElo, score, changes.playerGlicko);
+      await updatePool(opponentId, changes.opponentNewElo, 1 - score, changes.opponentGlicko);
+    } else {
+      await updatePlayer(playerId, changes.playerChange, score, changes.playerGlicko);
+      await updatePlayer(opponentId, changes.opponentChange, 1 - score, changes.opponentGlicko);
+    }
+    await recordHistory(playerId, opponentId, changes.playerElo, changes.playerNewElo, score);
+    await recordHistory(opponentId, playerId, changes.opponentElo, changes.opponentNewElo, 1 - score);
+    
+    console.log(`${changes.pool ? `${changes.pool} rating` : 'ELO'} updates applied: ${playerId} ${changes.playerChange}, ${opponentId} ${changes.opponentChange}`);
   } catch (error) {
     console.error('Error updating player ELOs:', error);
   }
 }
 
+// NEW: Calculate ELO changes for a decisive game result
+async function calculateEloChanges(winnerId, loserId, db, options = {}) {
+  const changes = await calculateRatingChanges(winnerId, loserId, 1, db, options);
+  return {
+    winnerChange: changes.playerChange,
+    loserChange: changes.opponentChange,
+    winnerOldElo: changes.playerElo,
+    loserOldElo: changes.opponentElo,
+    winnerNewElo: changes.playerNewElo,
+    loserNewElo: changes.opponentNewElo,
+    winnerGlicko: changes.playerGlicko,
+    loserGlicko: changes.opponentGlicko,
+    unrated: changes.unrated
+  };
+}
+
+// NEW: Update player ELOs in database for a decisive game result
+async function updatePlayerElos(winnerId, loserId, eloChanges, db, gameId = null) {
+  await applyRatingChanges(winnerId, loserId, 1, {
+    playerChange: eloChanges.winnerChange,
+    opponentChange: eloChanges.loserChange,
+    playerElo: eloChanges.winnerOldElo,
+    opponentElo: eloChanges.loserOldElo,
+    playerNewElo: eloChanges.winnerNewElo,
+    opponentNewElo: eloChanges.loserNewElo,
+    playerGlicko: eloChanges.winnerGlicko,
+    opponentGlicko: eloChanges.loserGlicko,
+    unrated: eloChanges.unrated
+  }, db, gameId);
+}
+
+// NEW: Create a signed, expiring session token (payload.signature, base64url)
+function createSessionToken(payload, secret, ttlSeconds) {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const body = Buffer.from(JSON.stringify({
+    ...payload,
+    iat: issuedAt,
+    exp: issuedAt + ttlSeconds
+  })).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(body).digest('base64url');
+  return `${body}.${signature}`;
+}
+
+// NEW: Verify a session token's signature and expiry, returning its payload or null
+function verifySessionToken(token, secret) {
+  if (typeof token !== 'string') return null;
+
+  try {
+    const [body, signature] = token.split('.');
+    if (!body || !signature) return null;
+
+    const expected = crypto.createHmac('sha256', secret).update(body).digest();
+    const provided = Buffer.from(signature, 'base64url');
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+      return null;
+    }
+
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (!payload.exp || payload.exp <= Math.floor(Date.now() / 1000)) return null;
+
+    return payload;
+  } catch (error) {
+    console.error('Error verifying session token:', error);
+    return null;
+  }
+}
+
+// NEW: Game variants. "chess960" starts from one of the 960 Fischer random back ranks
+// and castles by Chess960 rules; "fromPosition" starts from a FEN chosen by the creator.
+const GAME_VARIANTS = ['standard', 'chess960', 'fromPosition'];
+
+// Knight placements among the five squares left after bishops and queen (Scharnagl table)
+const CHESS960_KNIGHTS = [[0, 1], [0, 2], [0, 3], [0, 4], [1, 2], [1, 3], [1, 4], [2, 3], [2, 4], [3, 4]];
+
+// NEW: Starting FEN of Chess960 position 0-959 (Scharnagl numbering, 518 is the
+// standard position); random when no position is given
+function generateChess960Fen(positionId = crypto.randomInt(960)) {
+  const rank = new Array(8).fill(null);
+  const freeSquares = () => rank.map((piece, index) => (piece ? null : index)).filter(index => index !== null);
+  let n = positionId;
+
+  rank[(n % 4) * 2 + 1] = 'b'; // Light-squared bishop on b, d, f or h
+  n = Math.floor(n / 4);
+  rank[(n % 4) * 2] = 'b'; // Dark-squared bishop on a, c, e or g
+  n = Math.floor(n / 4);
+  rank[freeSquares()[n % 6]] = 'q';
+  n = Math.floor(n / 6);
+  const knightSquares = freeSquares();
+  CHESS960_KNIGHTS[n].forEach(index => { rank[knightSquares[index]] = 'n'; });
+  const [queenRook, king, kingRook] = freeSquares(); // King always between the rooks
+  rank[queenRook] = 'r';
+  rank[king] = 'k';
+  rank[kingRook] = 'r';
+
+  const backRank = rank.join('');
+  return `${backRank}/pppppppp/8/8/8/8/PPPPPPPP/${backRank.toUpperCase()} w KQkq - 0 1`;
+}
+
+// NEW: Check a FEN for a "fromPosition" game. Returns { fen } (normalised) or { error }.
+function validateStartingFen(fen) {
+  if (typeof fen !== 'string' || !fen.trim()) return { error: 'A starting FEN is required' };
+
+  const result = validateFen(fen.trim());
+  if (!result.ok) return { error: result.error };
+
+  // Drop castling rights the pieces cannot support, chess.js would otherwise offer
+  // castling without a rook
+  const fields = fen.trim().split(/\s+/);
+  const board = new Chess(fields.join(' '));
+  const hasPiece = (square, type, color) => {
+    const piece = board.get(square);
+    return !!piece && piece.type === type && piece.color === color;
+  };
+  const castlingSquares = {
+    K: ['e1', 'h1', 'w'],
+    Q: ['e1', 'a1', 'w'],
+    k: ['e8', 'h8', 'b'],
+    q: ['e8', 'a8', 'b']
+  };
+  fields[2] =
+    fields[2]
+      .split('')
+      .filter((right) => {
+        const [king, rook, color] = castlingSquares[right] || [];
+        return king && hasPiece(king, 'k', color) && hasPiece(rook, 'r', color);
+      })
+      .join('') || '-';
+
+  const chess = new Chess(fields.join(' '));
+  const opponent = chess.turn() === 'w' ? 'b' : 'w';
+  const [opponentKing] = chess.findPiece({ type: 'k', color: opponent });
+  if (opponentKing && chess.isAttacked(opponentKing, chess.turn())) {
+    return { error: 'Invalid FEN: the side not to move is in check' };
+  }
+  if (chess.isGameOver()) return { error: 'Invalid FEN: the game is already over' };
+  return { fen: chess.fen() };
+}
+
+// NEW: Chess960 on top of chess.js, which only knows standard castling. The wrapped
+// board never has castling rights of its own; castling rights are tracked here by rook
+// file, castling moves are generated and played here, and everything else is delegated.
+// Castling is written O-O / O-O-O and can be sent as SAN or as the king moving to its
+// destination square or onto its own rook. fen() uses X-FEN castling fields.
+class Chess960Game {
+  constructor(fen) {
+    const [placement, turn, castling, ...rest] = fen.split(' ');
+    this._chess = new Chess([placement, turn, '-', ...rest].join(' '));
+    this._rights = { w: {}, b: {} }; // color -> { k: rook file, q: rook file }
+    this._parseCastling(castling || '-');
+    this._history = [];
+    this._positions = [this._positionKey()];
+    this._headers = {};
+  }
+
+  _backRank(color) {
+    return color === 'w' ? '1' : '8';
+  }
+
+  _kingSquare(color) {
+    return this._chess.findPiece({ type: 'k', color })[0] || null;
+  }
+
+  // Rook files on the back rank to one side of the king, nearest the king first
+  _rookFiles(color, side) {
+    const king = this._kingSquare(color);
+    if (!king || king[1] !== this._backRank(color)) return [];
+    const files = [];
+    for (let f = 0; f < 8; f++) {
+      const file = 'abcdefgh'[f];
+      const piece = this._chess.get(file + this._backRank(color));
+      const onSide = side === 'k' ? file > king[0] : file < king[0];
+      if (onSide && piece && piece.type === 'r' && piece.color === color) files.push(file);
+    }
+    return side === 'k' ? files : files.reverse();
+  }
+
+  _parseCastling(castling) {
+    for (const char of castling.replace('-', '')) {
+      const color = char === char.toUpperCase() ? 'w' : 'b';
+      const letter = char.toLowerCase();
+      const king = this._kingSquare(color);
+      if (!king) continue;
+      if (letter === 'k' || letter === 'q') {
+        const files = this._rookFiles(color, letter);
+        if (files.length) this._rights[color][letter] = files[files.length - 1]; // Outermost rook
+      } else if (letter >= 'a' && letter <= 'h' && letter !== king[0]) {
+        const side = letter > king[0] ? 'k' : 'q';
+        if (this._rookFiles(color, side).includes(letter)) this._rights[color][side] = letter;
+      }
+    }
+  }
+
+  _castlingField() {
+    let field = '';
+    for (const color of ['w', 'b']) {
+      for (const side of ['k', 'q']) {
+        const file = this._rights[color][side];
+        if (!file) continue;
+        const files = this._rookFiles(color, side);
+        const letter = files[files.length - 1] === file ? side : file;
+        field += color === 'w' ? letter.toUpperCase() : letter;
+      }
+    }
+    return field || '-';
+  }
+
+  _positionKey() {
+    return this.fen().split(' ').slice(0, 4).join(' ');
+  }
+
+  _innerFen(fen) {
+    const fields = fen.split(' ');
+    fields[2] = '-';
+    return fields.join(' ');
+  }
+
+  // Legal castling moves for the side to move, shaped like chess.js verbose moves
+  _castlingMoves() {
+    const us = this._chess.turn();
+    const them = us === 'w' ? 'b' : 'w';
+    const rank = this._backRank(us);
+    const king = this._kingSquare(us);
+    if (!king || this._chess.inCheck()) return [];
+
+    const moves = [];
+    for (const side of ['k', 'q']) {
+      const rookFile = this._rights[us][side];
+      if (!rookFile) continue;
+      const kingTo = (side === 'k' ? 'g' : 'c') + rank;
+      const rookTo = (side === 'k' ? 'f' : 'd') + rank;
+      const rookFrom = rookFile + rank;
+
+      // Every square the king or rook crosses must be empty, apart from the two of them
+      const files = [king[0], kingTo[0], rookFile, rookTo[0]].sort();
+      const blocked = 'abcdefgh'
+        .split('')
+        .filter(f => f >= files[0] && f <= files[3])
+        .some(f => f + rank !== king && f + rank !== rookFrom && this._chess.get(f + rank));
+      if (blocked) continue;
+
+      // The king may not pass through an attacked square
+      const passed = 'abcdefgh'
+        .split('')
+        .filter(f => (f > king[0] && f < kingTo[0]) || (f < king[0] && f > kingTo[0]));
+      if (passed.some(f => this._chess.isAttacked(f + rank, them))) continue;
+
+      const board = new Chess(this._chess.fen());
+      board.remove(king);
+      board.remove(rookFrom);
+      board.put({ type: 'k', color: us }, kingTo);
+      board.put({ type: 'r', color: us }, rookTo);
+      const [, , , , halfMoves, moveNumber] = this._chess.fen().split(' ');
+      const after = new Chess(
+        `${board.fen().split(' ')[0]} ${them} - - ${parseInt(halfMoves) + 1} ${parseInt(moveNumber) + (us === 'b' ? 1 : 0)}`
+      );
+      if (after.isAttacked(kingTo, them)) continue;
+
+      const suffix = after.isCheckmate() ? '#' : after.inCheck() ? '+' : '';
+      moves.push({
+        color: us,
+        from: king,
+        to: kingTo,
+        piece: 'k',
+        flags: side,
+        san: (side === 'k' ? 'O-O' : 'O-O-O') + suffix,
+        lan: king + kingTo,
+        rookFrom,
+        rookTo,
+        innerFenAfter: after.fen()
+      });
+    }
+    return moves;
+  }
+
+  // The castling move meant by a SAN string or { from, to }, if any
+  _findCastle(move) {
+    const castles = this._castlingMoves();
+    if (typeof move === 'string') {
+      const san = move.replace(/0/g, 'O').replace(/[+#!?]/g, '');
+      if (san !== 'O-O' && san !== 'O-O-O') return null;
+      const castle = castles.find(c => c.san.replace(/[+#]/g, '') === san);
+      if (!castle) throw new Error(`Invalid move: ${move}`);
+      return castle;
+    }
+    if (!move || move.from !== this._kingSquare(this._chess.turn())) return null;
+    return castles.find(c => c.rookFrom === move.to) ||
+      // King to its destination square, unless that is also an ordinary king move
+      castles.find(c => c.to === move.to && !this._chess.moves({ square: move.from, verbose: true }).some(m => m.to === move.to)) ||
+      null;
+  }
+
+  move(move) {
+    const before = this.fen();
+    const rightsBefore = { w: { ...this._rights.w }, b: { ...this._rights.b } };
+    const castle = this._findCastle(move);
+
+    let played;
+    if (castle) {
+      this._chess.load(castle.innerFenAfter);
+      this._rights[castle.color] = {};
+      played = { color: castle.color, from: castle.from, to: castle.to, piece: 'k', flags: castle.flags, san: castle.san, lan: castle.lan, rookFrom: castle.rookFrom, rookTo: castle.rookTo };
+    } else {
+      const result = this._chess.move(move); // Throws on illegal moves, like chess.js
+      played = { ...result };
+      const rank = { w: '1', b: '8' };
+      if (result.piece === 'k') this._rights[result.color] = {};
+      for (const color of ['w', 'b']) {
+        for (const side of ['k', 'q']) {
+          const rookSquare = this._rights[color][side] && this._rights[color][side] + rank[color];
+          if (rookSquare && (result.from === rookSquare || result.to === rookSquare)) {
+            delete this._rights[color][side];
+          }
+        }
+      }
+    }
+
+    played.before = before;
+    played.after = this.fen();
+    this._history.push({ move: played, rightsBefore });
+    this._positions.push(this._positionKey());
+    return played;
+  }
+
+  undo() {
+    const entry = this._history.pop();
+    if (!entry) return null;
+    this._chess.load(this._innerFen(entry.move.before));
+    this._rights = entry.rightsBefore;
+    this._positions.pop();
+    return entry.move;
+  }
+
+  moves(options = {}) {
+    let castles = this._castlingMoves();
+    if (options.square) castles = castles.filter(c => c.from === options.square);
+    const moves = this._chess.moves({ ...options, verbose: true });
+    const verbose = [
+      ...moves,
+      ...castles.map(({ innerFenAfter, ...castle }) => castle)
+    ];
+    return options.verbose ? verbose : verbose.map(m => m.san);
+  }
+
+  history(options = {}) {
+    const moves = this._history.map(entry => entry.move);
+    return options.verbose ? moves : moves.map(m => m.san);
+  }
+
+  fen() {
+    const fields = this._chess.fen().split(' ');
+    fields[2] = this._castlingField();
+    return fields.join(' ');
+  }
+
+  turn() { return this._chess.turn(); }
+  board() { return this._chess.board(); }
+  get(square) { return this._chess.get(square); }
+  inCheck() { return this._chess.inCheck(); }
+  isAttacked(square, color) { return this._chess.isAttacked(square, color); }
+  isCheckmate() { return this._chess.isCheckmate(); } // Castling never answers a check
+  isStalemate() { return !this._chess.inCheck() && this.moves().length === 0; }
+  isInsufficientMaterial() { return this._chess.isInsufficientMaterial(); }
+  isDrawByFiftyMoves() { return this._chess.isDrawByFiftyMoves(); }
+
+  isThreefoldRepetition() {
+    const current = this._positions[this._positions.length - 1];
+    return this._positions.filter(key => key === current).length >= 3;
+  }
+
+  isGameOver() {
+    return this.isCheckmate() || this.isStalemate() || this.isInsufficientMaterial() ||
+      this.isThreefoldRepetition() || this.isDrawByFiftyMoves();
+  }
+
+  setHeader(key, value) {
+    this._headers[key] = value;
+  }
+
+  // PGN in the same layout as chess.js pgn(): tags, a blank line, wrapped movetext
+  pgn({ maxWidth = 0 } = {}) {
+    const tags = Object.entries(this._headers).map(([key, value]) => `[${key} "${value}"]`);
+    const firstFen = this._history.length ? this._history[0].move.before : this.fen();
+    let moveNumber = parseInt(firstFen.split(' ')[5]) || 1;
+    let whiteToMove = firstFen.split(' ')[1] === 'w';
+
+    const tokens = [];
+    this._history.forEach(({ move }, index) => {
+      if (whiteToMove) tokens.push(`${moveNumber}.`);
+      else if (index === 0) tokens.push(`${moveNumber}. ...`);
+      tokens.push(move.san);
+      if (!whiteToMove) moveNumber++;
+      whiteToMove = !whiteToMove;
+    });
+    tokens.push(this._headers.Result || '*');
+
+    const lines = [];
+    let line = '';
+    tokens.forEach(token => {
+      if (maxWidth && line && line.length + 1 + token.length > maxWidth) {
+        lines.push(line);
+        line = token;
+      } else {
+        line = line ? `${line} ${token}` : token;
+      }
+    });
+    lines.push(line);
+    return `${tags.join('\n')}\n\n${lines.join('\n')}`;
+  }
+}
+
+// NEW: Board for a game of the given variant, starting from initialFen when set
+function createGameChess(variant, initialFen) {
+  if (variant === 'chess960') return new Chess960Game(initialFen || generateChess960Fen(518));
+  return initialFen ? new Chess(initialFen) : new Chess();
+}
+
+// NEW: PGN result tag for a games row
+function getPgnResult(game) {
+  if (game.status !== 'finished') return '*';
+  if (!game.winner_id) return '1/2-1/2';
+  return game.winner_id === game.player_white_id ? '1-0' : '0-1';
+}
+
+// NEW: PGN Termination tag for a games.end_reason value
+function getPgnTermination(endReason) {
+  switch (endReason) {
+    case 'timeout':
+      return 'time forfeit';
+    case 'abandonment':
+      return 'abandoned';
+    default:
+      return 'normal';
+  }
+}
+
+// NEW: Build a PGN from a games row (joined with white_username, black_username) and its SAN moves
+function buildGamePgn(game, moves) {
+  const chess = createGameChess(game.variant, game.initial_fen);
+  for (const move of moves) {
+    try {
+      chess.move(move);
+    } catch (error) {
+      console.error(`Invalid move ${move} while building PGN for game ${game.id}`);
+      break;
+    }
+  }
+
+  // SQLite CURRENT_TIMESTAMP is UTC in "YYYY-MM-DD HH:MM:SS" form
+  const date = game.created_at ? game.created_at.slice(0, 10).replace(/-/g, '.') : '????.??.??';
+  const baseSeconds = (game.time_control_minutes || 30) * 60;
+
+  chess.setHeader('Event', 'RimChess Online Game');
+  chess.setHeader('Site', 'RimChess');
+  chess.setHeader('Date', date);
+  chess.setHeader('Round', '-');
+  chess.setHeader('White', game.white_username || '?');
+  chess.setHeader('Black', game.black_username || '?');
+  chess.setHeader('Result', getPgnResult(game));
+  if (game.white_elo) chess.setHeader('WhiteElo', String(game.white_elo));
+  if (game.black_elo) chess.setHeader('BlackElo', String(game.black_elo));
+  if (game.variant === 'chess960') {
+    // chess.js adds SetUp and FEN itself for other starting positions
+    chess.setHeader('Variant', 'Chess960');
+    chess.setHeader('SetUp', '1');
+    chess.setHeader('FEN', game.initial_fen);
+  } else if (game.variant === 'fromPosition') {
+    chess.setHeader('Variant', 'From Position');
+  }
+  // PGN has no notation for a delay: it is written like an increment and named in its own tag
+  if (game.delay_seconds > 0) {
+    chess.setHeader('TimeControl', `${baseSeconds}+${game.delay_seconds}`);
+    chess.setHeader('Delay', `Bronstein ${game.delay_seconds}`);
+  } else {
+    chess.setHeader('TimeControl', `${baseSeconds}+${game.increment_seconds || 0}`);
+  }
+  if (game.status === 'finished' && game.end_reason) {
+    chess.setHeader('Termination', getPgnTermination(game.end_reason));
+  }
+
+  return chess.pgn({ maxWidth: 80 });
+}
+
+// NEW: Colour balance over a user's recent games: +1 per game as white, -1 per game as black
+async function getRecentColorBalance(userId, db, limit = 20) {
+  return new Promise((resolve, reject) => {
+    db.all(`
+      SELECT player_white_id FROM games
+      WHERE (player_white_id = ? OR player_black_id = ?)
+        AND player_white_id IS NOT NULL AND player_black_id IS NOT NULL
+        AND status IN ('inprogress', 'finished')
+      ORDER BY created_at DESC
+      LIMIT ?
+    `, [userId, userId, limit], (err, rows) => {
+      if (err) reject(err);
+      else resolve((rows || []).reduce((balance, row) => balance + (row.player_white_id === userId ? 1 : -1), 0));
+    });
+  });
+}
+
+// NEW: Decide colours for two players ({ userId, color: 'white' | 'black' | 'random' }).
+// A preference is honoured unless both players asked for the same colour; otherwise the
+// player who has had white more often lately gets black.
+async function assignColors(first, second, db) {
+  if (first.color !== 'random' && first.color !== second.color) {
+    return first.color === 'white' ? { white: first, black: second } : { white: second, black: first };
+  }
+  if (second.color !== 'random' && second.color !== first.color) {
+    return second.color === 'white' ? { white: second, black: first } : { white: first, black: second };
+  }
+
+  try {
+    const firstBalance = await getRecentColorBalance(first.userId, db);
+    const secondBalance = await getRecentColorBalance(second.userId, db);
+    if (firstBalance !== secondBalance) {
+      return firstBalance < secondBalance ? { white: first, black: second } : { white: second, black: first };
+    }
+  } catch (error) {
+    console.error('Error reading colour history:', error);
+  }
+
+  return Math.random() < 0.5 ? { white: first, black: second } : { white: second, black: first };
+}
+
+// NEW: Thin a series to at most maxPoints evenly spaced entries, keeping the first and last
+function downsampleSeries(series, maxPoints) {
+  if (!maxPoints || series.length <= maxPoints) return series;
+  if (maxPoints === 1) return [series[series.length - 1]];
+
+  const step = (series.length - 1) / (maxPoints - 1);
+  const sampled = [];
+  for (let i = 0; i < maxPoints; i++) {
+    sampled.push(series[Math.round(i * step)]);
+  }
+  return sampled;
+}
+
+// NEW: Token bucket rate limiting. Takes a token from buckets[key], which refills at
+// budget.refillPerSecond up to budget.capacity. Returns 0 if allowed, otherwise the
+// milliseconds until a token is available.
+function takeToken(buckets, key, budget, now = Date.now()) {
+  let bucket = buckets.get(key);
+  if (!bucket) {
+    bucket = { tokens: budget.capacity, updatedAt: now };
+    buckets.set(key, bucket);
+  }
+
+  const elapsedSeconds = (now - bucket.updatedAt) / 1000;
+  bucket.tokens = Math.min(budget.capacity, bucket.tokens + elapsedSeconds * budget.refillPerSecond);
+  bucket.updatedAt = now;
+
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return 0;
+  }
+  return Math.ceil(((1 - bucket.tokens) / budget.refillPerSecond) * 1000);
+}
+
+// NEW: Short invite code without look-alike characters (0/O, 1/I/L)
+function generateInviteCode(length = 6) {
+  const alphabet = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code += alphabet[crypto.randomInt(alphabet.length)];
+  }
+  return code;
+}
+
+// NEW: Chat moderation. Masks banned words (whole words, case-insensitive) and, with
+// blockLinks, rejects messages containing URLs or bare domains. Returns
+// { message, filtered } or { rejected: reason }.
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+|\b[a-z0-9-]+(\.[a-z0-9-]+)*\.(com|net|org|io|gg|co|ru|de|uk|tv|me|xyz|info|biz|link|ly)\b/i;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function filterChatMessage(message, { bannedWords = [], blockLinks = false } = {}) {
+  if (blockLinks && LINK_PATTERN.test(message)) {
+    return { rejected: 'Links are not allowed in chat' };
+  }
+
+  let filtered = message;
+  bannedWords.forEach(word => {
+    const pattern = new RegExp(`(?<!\\w)${escapeRegExp(word)}(?!\\w)`, 'gi');
+    filtered = filtered.replace(pattern, match => '*'.repeat(match.length));
+  });
+  return { message: filtered, filtered: filtered !== message };
+}
+
+// NEW: Tournament standings. results are pairings { whiteId, blackId, result } where
+// blackId is null for a bye and result is '1-0', '0-1', '1/2-1/2', 'bye', a forfeit
+// ('+-', '-+', '--') or null while the game is running. Returns the players sorted by
+// score, Buchholz (sum of opponents' scores), Sonneborn-Berger (scores of beaten
+// opponents plus half of drawn ones) and rating, with what pairing needs to know.
+const TOURNAMENT_RESULT_POINTS = {
+  '1-0': [1, 0],
+  '0-1': [0, 1],
+  '1/2-1/2': [0.5, 0.5],
+  '+-': [1, 0],
+  '-+': [0, 1],
+  '--': [0, 0],
+  bye: [1, 0]
+};
+
+function buildTournamentStandings(players, results) {
+  const entries = new Map(players.map(player => [player.userId, {
+    ...player,
+    score: 0,
+    buchholz: 0,
+    sonnebornBerger: 0,
+    wins: 0,
+    draws: 0,
+    losses: 0,
+    opponents: [],
+    colors: [],
+    hadBye: false
+  }]));
+
+  results.forEach(pairing => {
+    const white = entries.get(pairing.whiteId);
+    const black = pairing.blackId ? entries.get(pairing.blackId) : null;
+    if (white && black) {
+      white.opponents.push(black.userId);
+      black.opponents.push(white.userId);
+      white.colors.push('white');
+      black.colors.push('black');
+    }
+    if (!pairing.result) return;
+
+    const [whitePoints, blackPoints] = TOURNAMENT_RESULT_POINTS[pairing.result] || [0, 0];
+    if (pairing.result === 'bye') {
+      if (white) {
+        white.score += whitePoints;
+        white.hadBye = true;
+      }
+      return;
+    }
+    [[white, whitePoints, blackPoints], [black, blackPoints, whitePoints]].forEach(([entry, points, opponentPoints]) => {
+      if (!entry) return;
+      entry.score += points;
+      if (points > opponentPoints) entry.wins++;
+      else if (points < opponentPoints) entry.losses++;
+      else if (points > 0) entry.draws++;
+      else entry.losses++; // Double forfeit
+    });
+  });
+
+  // Tiebreaks need every player's final score, so they take a second pass
+  results.forEach(pairing => {
+    if (!pairing.result || !pairing.blackId) return;
+    const white = entries.get(pairing.whiteId);
+    const black = entries.get(pairing.blackId);
+    if (!white || !black) return;
+
+    const [whitePoints, blackPoints] = TOURNAMENT_RESULT_POINTS[pairing.result] || [0, 0];
+    white.buchholz += black.score;
+    black.buchholz += white.score;
+    white.sonnebornBerger += whitePoints * black.score;
+    black.sonnebornBerger += blackPoints * white.score;
+  });
+
+  return Array.from(entries.values()).sort((a, b) =>
+    b.score - a.score ||
+    b.buchholz - a.buchholz ||
+    b.sonnebornBerger - a.sonnebornBerger ||
+    (b.rating || 0) - (a.rating || 0)
+  );
+}
+
+// NEW: Arena standings. results are the arena's games in the order they were paired,
+// { whiteId, blackId, result, whiteBerserk, blackBerserk } with result as in
+// buildTournamentStandings. A win scores 2 and a draw 1, doubled while a player is on
+// a streak of two or more wins (any non-win ends it); a berserk win adds 1 more.
+function buildArenaStandings(players, results) {
+  const entries = new Map(players.map(player => [player.userId, {
+    ...player,
+    score: 0,
+    games: 0,
+    wins: 0,
+    draws: 0,
+    losses: 0,
+    berserks: 0,
+    winStreak: 0,
+    onFire: false,
+    sheet: [], // Points per finished game
+    whites: 0,
+    lastOpponentId: null,
+    playing: false
+  }]));
+
+  results.forEach(pairing => {
+    const sides = [
+      [entries.get(pairing.whiteId), pairing.blackId, 0, pairing.whiteBerserk],
+      [entries.get(pairing.blackId), pairing.whiteId, 1, pairing.blackBerserk]
+    ];
+    sides.forEach(([entry, opponentId, side, berserk]) => {
+      if (!entry) return;
+      entry.lastOpponentId = opponentId;
+      if (side === 0) entry.whites++;
+      if (!pairing.result) {
+        entry.playing = true;
+        return;
+      }
+
+      const points = (TOURNAMENT_RESULT_POINTS[pairing.result] || [0, 0])[side];
+      const opponentPoints = (TOURNAMENT_RESULT_POINTS[pairing.result] || [0, 0])[1 - side];
+      const won = points > opponentPoints;
+      const drawn = points === opponentPoints && points > 0;
+
+      let score = won ? 2 : drawn ? 1 : 0;
+      if (entry.winStreak >= 2) score *= 2;
+      if (won && berserk) score += 1;
+
+      entry.games++;
+      if (won) entry.wins++;
+      else if (drawn) entry.draws++;
+      else entry.losses++;
+      if (berserk) entry.berserks++;
+      entry.winStreak = won ? entry.winStreak + 1 : 0;
+      entry.onFire = entry.winStreak >= 2;
+      entry.score += score;
+      entry.sheet.push(score);
+    });
+  });
+
+  return Array.from(entries.values()).sort((a, b) =>
+    b.score - a.score ||
+    b.wins - a.wins ||
+    (b.rating || 0) - (a.rating || 0)
+  );
+}
+
+// NEW: Swiss pairing for the next round. players are standings entries (see
+// buildTournamentStandings) of everyone still in the tournament. Players are paired
+// top-down within their score group (top half against bottom half, opposite colour
+// preferences first), dropping to the next group when needed. Repeat pairings and
+// colour rule violations (same colour three times running, or two more of one colour
+// than the other) are avoided whenever some pairing without them exists; pairs for
+// which isBlocked(userId, otherId) is true count as repeat pairings.
+// An odd player out gets a bye, preferring the lowest-ranked player without one.
+// Returns { pairings: [{ whiteId, blackId }], byeId }.
+const SWISS_MAX_PAIRING_STEPS = 100000;
+
+function pairSwissRound(players, isBlocked = () => false) {
+  let ranked = [...players].sort((a, b) => b.score - a.score || (b.rating || 0) - (a.rating || 0));
+
+  let byeId = null;
+  if (ranked.length % 2 === 1) {
+    const byePlayer = [...ranked].reverse().find(p => !p.hadBye) || ranked[ranked.length - 1];
+    byeId = byePlayer.userId;
+    ranked = ranked.filter(p => p.userId !== byeId);
+  }
+
+  const pairs =
+    pairSwissPlayers(ranked, { strictColors: true, isBlocked }) ||
+    pairSwissPlayers(ranked, { isBlocked }) ||
+    pairSwissPlayers(ranked, { allowRepeats: true }) ||
+    [];
+  return {
+    pairings: pairs.map(([first, second]) => assignSwissColors(first, second)),
+    byeId
+  };
+}
+
+function colorBalance(player) {
+  return player.colors.filter(c => c === 'white').length - player.colors.filter(c => c === 'black').length;
+}
+
+// The colour a player should get next, or null without a preference
+function dueColor(player) {
+  const balance = colorBalance(player);
+  if (balance !== 0) return balance < 0 ? 'white' : 'black';
+  const last = player.colors[player.colors.length - 1];
+  return last ? (last === 'white' ? 'black' : 'white') : null;
+}
+
+function breaksColorRules(player, color) {
+  const colors = [...player.colors, color];
+  const balance = colorBalance({ colors });
+  return Math.abs(balance) > 2 || (colors.length >= 3 && colors.slice(-3).every(c => c === color));
+}
+
+// Depth-first search over candidate opponents in order of preference. Returns null
+// if there is no pairing within the constraints (or the search takes too long).
+function pairSwissPlayers(ranked, { allowRepeats = false, strictColors = false, isBlocked = () => false }) {
+  let steps = 0;
+
+  const search = remaining => {
+    if (remaining.length === 0) return [];
+    if (++steps > SWISS_MAX_PAIRING_STEPS) return null;
+
+    const [player, ...others] = remaining;
+    const group = others.filter(p => p.score === player.score);
+    const idealIndex = Math.floor((group.length + 1) / 2) - 1; // Top half meets bottom half
+    const due = dueColor(player);
+    const colorClash = p => (due && due === dueColor(p) ? 1 : 0);
+    const candidates = others
+      .filter(p => allowRepeats || (!player.opponents.includes(p.userId) && !isBlocked(player.userId, p.userId)))
+      .filter(p => {
+        if (!strictColors) return true;
+        const { whiteId } = assignSwissColors(player, p);
+        const [white, black] = whiteId === player.userId ? [player, p] : [p, player];
+        return !breaksColorRules(white, 'white') && !breaksColorRules(black, 'black');
+      })
+      .sort((a, b) =>
+        Math.abs(player.score - a.score) - Math.abs(player.score - b.score) ||
+        colorClash(a) - colorClash(b) ||
+        Math.abs(group.indexOf(a) - idealIndex) - Math.abs(group.indexOf(b) - idealIndex)
+      );
+
+    for (const candidate of candidates) {
+      const rest = search(others.filter(p => p !== candidate));
+      if (rest) return [[player, candidate], ...rest];
+      if (steps > SWISS_MAX_PAIRING_STEPS) return null;
+    }
+    return null;
+  };
+
+  return search(ranked);
+}
+
+// White goes to the player who has had it less often, then to whoever had black
+// last; otherwise the higher-ranked player (first) alternates from their last colour
+function assignSwissColors(first, second) {
+  const balance = colorBalance;
+  const firstLast = first.colors[first.colors.length - 1];
+  const secondLast = second.colors[second.colors.length - 1];
+
+  let firstWhite;
+  if (balance(first) !== balance(second)) firstWhite = balance(first) < balance(second);
+  else if (firstLast !== secondLast) firstWhite = firstLast !== 'white' && secondLast !== 'black';
+  else firstWhite = firstLast !== 'white';
+
+  return firstWhite
+    ? { whiteId: first.userId, blackId: second.userId }
+    : { whiteId: second.userId, blackId: first.userId };
+}
+
 module.exports = {
   getUserById,
   generateBoardVisualization,
   findCheckingPieces,
   findKingSquare,
   getAttackedSquares,
+  getClaimableDrawReasons,
+  GAME_VARIANTS,
+  generateChess960Fen,
+  validateStartingFen,
+  createGameChess,
+  RATING_POOLS,
+  getRatingPool,
+  getPoolRatings,
+  getGlickoRating,
+  calculateGlicko2Rating,
+  calculateRatingChanges,
+  applyRatingChanges,
   calculateEloChanges,
-  updatePlayerElos
+  updatePlayerElos,
+  createSessionToken,
+  verifySessionToken,
+  buildGamePgn,
+  downsampleSeries,
+  assignColors,
+  takeToken,
+  generateInviteCode,
+  filterChatMessage,
+  buildTournamentStandings,
+  buildArenaStandings,
+  pairSwissRound
 };